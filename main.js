@@ -4,6 +4,126 @@
 import * as THREE from "three";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import { DecalGeometry } from "three/addons/geometries/DecalGeometry.js";
+import { Octree } from "three/addons/math/Octree.js";
+import { Capsule } from "three/addons/math/Capsule.js";
+import { clone as cloneSkinned } from "three/addons/utils/SkeletonUtils.js";
+import { EffectComposer } from "three/addons/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/addons/postprocessing/RenderPass.js";
+import { BokehPass } from "three/addons/postprocessing/BokehPass.js";
+import { ShaderPass } from "three/addons/postprocessing/ShaderPass.js";
+import { OutputPass } from "three/addons/postprocessing/OutputPass.js";
+
+// ----- Storage -----
+// localStorage can be missing or throw (blocked storage, sandboxed frames);
+// the game then runs as usual and just forgets between visits
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (err) {
+    console.warn(`Could not save ${key}:`, err);
+  }
+}
+
+// A stored JSON object, or {} when it is missing or unreadable
+function readStoredObject(key) {
+  try {
+    return JSON.parse(readStorage(key)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// ----- Settings -----
+// Preferences from the pause menu, kept in the browser. Each definition gives
+// the control's range (or its options), its default and how to apply a new
+// value while the game runs; see the Pause Menu section for the panel.
+const SETTINGS_KEY = 'shooterFocus.settings';
+const settingDefinitions = {
+  sensitivity: {
+    label: 'Mouse sensitivity', min: 0.0005, max: 0.006, step: 0.0001, default: 0.002,
+    format: (value) => (value * 1000).toFixed(1)
+  },
+  lookSpeed: {
+    label: 'Stick / key look', min: 0.5, max: 6, step: 0.1, default: 2.5, // radians per second at full tilt
+    format: (value) => value.toFixed(1)
+  },
+  stickDeadzone: {
+    label: 'Stick deadzone', min: 0.05, max: 0.4, step: 0.01, default: 0.15,
+    format: (value) => value.toFixed(2)
+  },
+  focusedFov: {
+    label: 'Focused FOV', min: 30, max: 75, step: 1, default: 45,
+    format: (value) => `${value}°`,
+    apply: (value) => {
+      focusModes.focused.fov = value;
+      applyFocusLevel(focusLevel);
+    }
+  },
+  broadFov: {
+    label: 'Broad FOV', min: 60, max: 110, step: 1, default: 90,
+    format: (value) => `${value}°`,
+    apply: (value) => {
+      focusModes.broad.fov = value;
+      applyFocusLevel(focusLevel);
+    }
+  },
+  shadowMapSize: {
+    label: 'Shadow quality', options: [512, 1024, 2048, 4096], default: 2048,
+    format: (value) => `${value} px`,
+    apply: (value) => {
+      sun.shadow.mapSize.set(value, value);
+      // The renderer makes a new shadow map at the new size
+      if (sun.shadow.map) {
+        sun.shadow.map.dispose();
+        sun.shadow.map = null;
+      }
+    }
+  },
+  maxTargets: {
+    label: 'Targets', min: 5, max: 120, step: 5, default: 30,
+    format: String,
+    apply: () => fitTargets()
+  },
+  splatterLimit: {
+    label: 'Splat limit', min: 100, max: 3000, step: 100, default: 1000, // oldest splats are removed beyond this
+    format: String,
+    apply: () => trimSplatters()
+  }
+};
+
+function validSetting(key, value) {
+  const definition = settingDefinitions[key];
+  if (!Number.isFinite(value)) return false;
+  if (definition.options) return definition.options.includes(value);
+  return value >= definition.min && value <= definition.max;
+}
+
+function loadSettings() {
+  const saved = readStoredObject(SETTINGS_KEY);
+  const loaded = {};
+  for (const [key, definition] of Object.entries(settingDefinitions)) {
+    loaded[key] = validSetting(key, saved[key]) ? saved[key] : definition.default;
+  }
+  return loaded;
+}
+
+const settings = loadSettings();
+
+function setSetting(key, value) {
+  if (!validSetting(key, value) || settings[key] === value) return;
+  settings[key] = value;
+  writeStorage(SETTINGS_KEY, JSON.stringify(settings));
+  const { apply } = settingDefinitions[key];
+  if (apply) apply(value);
+}
 
 // ----- Basic setup -----
 const canvas = document.getElementById("gameCanvas");
@@ -22,12 +142,92 @@ scene.background = new THREE.Color(0x87ceeb); // sky-ish blue
 scene.fog = new THREE.Fog(0xaaccee, 20, 100);
 
 const camera = new THREE.PerspectiveCamera(
-  45, // Start in focused mode
+  settings.focusedFov, // Start in focused mode
   window.innerWidth / window.innerHeight,
   0.1,
   1000
 );
 
+// ----- Post-processing -----
+// The scene is drawn through a composer: bokeh depth of field focused on
+// whatever is under the crosshair, then a radial blur that smears the edges
+// of the view towards its centre and a vignette. Their strengths blend with
+// the focus level (see focusModes) in applyFocusLevel().
+const composer = new EffectComposer(renderer, new THREE.WebGLRenderTarget(
+  window.innerWidth * window.devicePixelRatio,
+  window.innerHeight * window.devicePixelRatio,
+  { type: THREE.HalfFloatType, samples: 4 }
+));
+composer.setSize(window.innerWidth, window.innerHeight);
+composer.addPass(new RenderPass(scene, camera));
+
+const bokehPass = new BokehPass(scene, camera, { focus: 10, aperture: 0, maxblur: 0 });
+composer.addPass(bokehPass);
+
+const FocusLensShader = {
+  name: 'FocusLensShader',
+  defines: { RADIAL_SAMPLES: 12 },
+  uniforms: {
+    tDiffuse: { value: null },
+    aspect: { value: window.innerWidth / window.innerHeight },
+    radialBlur: { value: 0 }, // fraction of the way to the centre the edge samples reach
+    vignetteOpacity: { value: 1 },
+    vignetteClear: { value: 0.6 }, // share of the centre-to-corner distance left untouched
+    vignetteEdge: { value: 0.9 } // darkness in the corners
+  },
+  vertexShader: /* glsl */`
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }`,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform float aspect;
+    uniform float radialBlur;
+    uniform float vignetteOpacity;
+    uniform float vignetteClear;
+    uniform float vignetteEdge;
+    varying vec2 vUv;
+
+    void main() {
+      // Samples are pulled towards the centre, so the blur grows outwards
+      // and the middle of the view stays sharp
+      vec2 toCentre = vec2(0.5) - vUv;
+      vec4 color = vec4(0.0);
+      for (int i = 0; i < RADIAL_SAMPLES; i++) {
+        float t = float(i) / float(RADIAL_SAMPLES - 1);
+        color += texture2D(tDiffuse, vUv + toCentre * radialBlur * t);
+      }
+      color /= float(RADIAL_SAMPLES);
+
+      // Radial gradient from clear at vignetteClear to vignetteEdge in the corners
+      vec2 offset = (vUv - 0.5) * vec2(aspect, 1.0);
+      float radius = length(offset) / length(vec2(aspect, 1.0) * 0.5);
+      float shade = smoothstep(vignetteClear, 1.0, radius) * vignetteEdge * vignetteOpacity;
+      gl_FragColor = vec4(color.rgb * (1.0 - shade), color.a);
+    }`
+};
+const lensPass = new ShaderPass(FocusLensShader);
+composer.addPass(lensPass);
+composer.addPass(new OutputPass());
+
+function resizePostProcessing(width, height) {
+  composer.setSize(width, height);
+  lensPass.uniforms.aspect.value = width / height;
+}
+
+const _focalPoint = new THREE.Vector3();
+
+// Autofocus on the crosshair. The lens follows quickly when focused and
+// lags behind where you look when broad.
+function updateFocalDistance(delta) {
+  const distance = camera.position.distanceTo(crosshairTarget(_focalPoint));
+  const focus = bokehPass.uniforms.focus;
+  focus.value += (distance - focus.value) * (1 - Math.exp(-blendFocus('focusPull', focusLevel) * delta));
+}
+
 // ----- Lights -----
 const ambient = new THREE.AmbientLight(0xffffff, 0.5);
 scene.add(ambient);
@@ -35,7 +235,7 @@ scene.add(ambient);
 const sun = new THREE.DirectionalLight(0xffffff, 1.2);
 sun.position.set(20, 50, 20);
 sun.castShadow = true;
-sun.shadow.mapSize.set(2048, 2048);
+sun.shadow.mapSize.set(settings.shadowMapSize, settings.shadowMapSize);
 sun.shadow.camera.near = 0.5;
 sun.shadow.camera.far = 200;
 sun.shadow.camera.left = -50;
@@ -56,23 +256,61 @@ ground.rotation.x = -Math.PI / 2;
 ground.receiveShadow = true;
 scene.add(ground);
 
+// ----- Seeded Randomness -----
+// All generation (city layout, building textures, target spawns, paint
+// colors, bot decisions) draws from seeded streams, so the same seed reproduces the same
+// game. The seed comes from ?seed= or is picked at random, and is shown in
+// the UI so a layout can be shared.
+
+// 32-bit string hash (xmur3 finaliser) to turn any seed text into a number
+function hashSeed(text) {
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// mulberry32 PRNG, returns floats in [0, 1) like Math.random
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const worldSeed = new URLSearchParams(window.location.search).get('seed') ||
+  Math.random().toString(36).slice(2, 8);
+// Independent streams, so e.g. firing more shots doesn't move target spawns
+const cityRandom = createRandom(hashSeed(`${worldSeed}:city`));
+const targetRandom = createRandom(hashSeed(`${worldSeed}:targets`));
+const paintRandom = createRandom(hashSeed(`${worldSeed}:paint`));
+const botRandom = createRandom(hashSeed(`${worldSeed}:bots`));
+
 // ----- Texture and Shader Utilities -----
-function createBuildingTexture(width = 256, height = 256) {
+function createBuildingTexture(random, width = 256, height = 256) {
   const canvas = document.createElement('canvas');
   canvas.width = width;
   canvas.height = height;
   const ctx = canvas.getContext('2d');
   
   // Base color
-  const hue = Math.random() * 360;
-  const sat = 20 + Math.random() * 30;
-  const light = 30 + Math.random() * 20;
+  const hue = random() * 360;
+  const sat = 20 + random() * 30;
+  const light = 30 + random() * 20;
   ctx.fillStyle = `hsl(${hue}, ${sat}%, ${light}%)`;
   ctx.fillRect(0, 0, width, height);
   
   // Add window pattern
-  const windowRows = 4 + Math.floor(Math.random() * 6);
-  const windowCols = 3 + Math.floor(Math.random() * 4);
+  const windowRows = 4 + Math.floor(random() * 6);
+  const windowCols = 3 + Math.floor(random() * 4);
   const windowW = width / (windowCols * 2 + 1);
   const windowH = height / (windowRows * 2 + 1);
   
@@ -85,7 +323,7 @@ function createBuildingTexture(width = 256, height = 256) {
       const h = windowH * 0.7;
       
       // Some windows lit
-      if (Math.random() > 0.3) {
+      if (random() > 0.3) {
         ctx.fillStyle = `hsl(${hue + 30}, ${sat + 20}%, ${light + 40}%)`;
       } else {
         ctx.fillStyle = `hsl(${hue}, ${sat}%, ${light - 10}%)`;
@@ -98,7 +336,7 @@ function createBuildingTexture(width = 256, height = 256) {
   const imageData = ctx.getImageData(0, 0, width, height);
   const data = imageData.data;
   for (let i = 0; i < data.length; i += 4) {
-    const noise = (Math.random() - 0.5) * 10;
+    const noise = (random() - 0.5) * 10;
     data[i] = Math.max(0, Math.min(255, data[i] + noise));
     data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + noise));
     data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + noise));
@@ -115,12 +353,15 @@ function createBuildingTexture(width = 256, height = 256) {
 // ----- Building System -----
 const buildings = [];
 const buildingMeshes = [];
+// A level file (?level=path/to/level.json) replaces the random city
+const levelUrl = new URLSearchParams(window.location.search).get('level');
 
-function addBuilding(x, z, w, d, h) {
+// Each building's texture has its own seed so levels can reproduce it
+function addBuilding(x, z, w, d, h, textureSeed = Math.floor(cityRandom() * 4294967296)) {
   const geo = new THREE.BoxGeometry(w, h, d);
   
   // Create textured material
-  const texture = createBuildingTexture();
+  const texture = createBuildingTexture(createRandom(textureSeed));
   const mat = new THREE.MeshStandardMaterial({ 
     map: texture,
     roughness: 0.7,
@@ -137,6 +378,7 @@ function addBuilding(x, z, w, d, h) {
   const buildingData = {
     mesh,
     x, z, w, d, h,
+    textureSeed,
     position: new THREE.Vector3(x, h / 2, z)
   };
   
@@ -146,27 +388,50 @@ function addBuilding(x, z, w, d, h) {
 }
 
 // Generate buildings in a more organized way
-for (let i = 0; i < 15; i++) {
-  const x = (Math.random() - 0.5) * 80;
-  const z = (Math.random() - 0.5) * 80;
-  const w = 4 + Math.random() * 8;
-  const d = 4 + Math.random() * 8;
-  const h = 6 + Math.random() * 18;
+for (let i = 0; i < (levelUrl ? 0 : 15); i++) {
+  const x = (cityRandom() - 0.5) * 80;
+  const z = (cityRandom() - 0.5) * 80;
+  const w = 4 + cityRandom() * 8;
+  const d = 4 + cityRandom() * 8;
+  const h = 6 + cityRandom() * 18;
   addBuilding(x, z, w, d, h);
 }
 
 // ----- Stairs System -----
+const stairs = [];
+const STAIR_RISE = 0.4; // below the player's step-up height, so every flight is walkable
+const STAIR_TREAD = 0.45; // shallowest step; steeper flights get a longer run
+
+// The run needed to climb `dh` without exceeding STAIR_RISE / STAIR_TREAD
+function stairRun(dh) {
+  return Math.max(1, Math.ceil(Math.abs(dh) / STAIR_RISE)) * STAIR_TREAD;
+}
+
+// A flight from start to end. One that is too steep is lengthened at its
+// lower end, away from the top, and keeps the moved end in its data.
 function addStairs(startX, startZ, endX, endZ, startHeight, endHeight, width = 2) {
+  const dh = endHeight - startHeight;
+  let distance = Math.hypot(endX - startX, endZ - startZ);
+  // A flight with no run still needs a direction to extend along
+  const dirX = distance > 0 ? (endX - startX) / distance : 1;
+  const dirZ = distance > 0 ? (endZ - startZ) / distance : 0;
+  const extra = stairRun(dh) - distance;
+  if (extra > 0) {
+    if (dh >= 0) {
+      startX -= dirX * extra;
+      startZ -= dirZ * extra;
+    } else {
+      endX += dirX * extra;
+      endZ += dirZ * extra;
+    }
+    distance += extra;
+  }
   const dx = endX - startX;
   const dz = endZ - startZ;
-  const dh = endHeight - startHeight;
-  const distance = Math.sqrt(dx * dx + dz * dz);
-  const steps = Math.max(3, Math.floor(distance / 1.5));
-  const stepHeight = dh / steps;
+  const steps = Math.max(3, Math.floor(distance / 1.5), Math.ceil(Math.abs(dh) / STAIR_RISE));
   const stepLength = distance / steps;
   
-  const dirX = dx / distance;
-  const dirZ = dz / distance;
+  const stairsData = { startX, startZ, endX, endZ, startHeight, endHeight, width, meshes: [] };
   
   for (let i = 0; i <= steps; i++) {
     const t = i / steps;
@@ -182,31 +447,64 @@ function addStairs(startX, startZ, endX, endZ, startHeight, endHeight, width = 2
     });
     const step = new THREE.Mesh(stepGeo, stepMat);
     step.position.set(x, y + 0.15, z);
+    // Run the step's length along the stair direction so the flight is continuous
+    step.rotation.y = -Math.atan2(dirZ, dirX);
     step.castShadow = true;
     step.receiveShadow = true;
     scene.add(step);
     buildingMeshes.push(step); // Allow splatters on stairs
+    stairsData.meshes.push(step);
   }
+  
+  stairs.push(stairsData);
+  return stairsData;
+}
+
+// How far from a building's centre its footprint ends along a direction
+function footprintReach(b, dirX, dirZ) {
+  return Math.min(
+    dirX ? b.w / 2 / Math.abs(dirX) : Infinity,
+    dirZ ? b.d / 2 / Math.abs(dirZ) : Infinity
+  );
 }
 
-// Add stairs between some buildings
+// Add stairs between some buildings, from roof edge to roof edge. The run may
+// reach back over the lower roof when the gap is too short for the climb;
+// pairs that touch, or where even that is too short, get none.
 for (let i = 0; i < buildings.length - 1; i += 2) {
   const b1 = buildings[i];
   const b2 = buildings[i + 1];
   if (b1 && b2) {
-    const startHeight = b1.h;
-    const endHeight = b2.h;
-    addStairs(b1.x, b1.z, b2.x, b2.z, startHeight, endHeight, 2);
+    const distance = Math.hypot(b2.x - b1.x, b2.z - b1.z);
+    if (distance === 0) continue;
+    const dirX = (b2.x - b1.x) / distance;
+    const dirZ = (b2.z - b1.z) / distance;
+    const reach1 = footprintReach(b1, dirX, dirZ);
+    const reach2 = footprintReach(b2, dirX, dirZ);
+    const gap = distance - reach1 - reach2;
+    const lowerRoof = 2 * (b1.h <= b2.h ? reach1 : reach2);
+    if (gap <= 0 || stairRun(b2.h - b1.h) - gap > lowerRoof - 1) continue;
+    addStairs(
+      b1.x + dirX * reach1, b1.z + dirZ * reach1,
+      b2.x - dirX * reach2, b2.z - dirZ * reach2,
+      b1.h, b2.h, 2
+    );
   }
 }
 
 // ----- Bridges System -----
+const bridges = [];
+
 function addSimpleBridge(b1, b2) {
   const center1 = new THREE.Vector3(b1.x, Math.max(b1.h, b2.h) - 1, b1.z);
   const center2 = new THREE.Vector3(b2.x, Math.max(b1.h, b2.h) - 1, b2.z);
+  return addBridge(center1, center2);
+}
+
+function addBridge(center1, center2, width = 1) {
   const dist = center1.distanceTo(center2);
   
-  const geometry = new THREE.BoxGeometry(1, 0.2, dist);
+  const geometry = new THREE.BoxGeometry(width, 0.2, dist);
   const material = new THREE.MeshStandardMaterial({ color: 0x555555 });
   const bridge = new THREE.Mesh(geometry, material);
   
@@ -218,6 +516,10 @@ function addSimpleBridge(b1, b2) {
   bridge.receiveShadow = true;
   scene.add(bridge);
   buildingMeshes.push(bridge); // Add to collision list
+  
+  const bridgeData = { start: center1.clone(), end: center2.clone(), width, mesh: bridge };
+  bridges.push(bridgeData);
+  return bridgeData;
 }
 
 // Connect buildings with bridges
@@ -229,25 +531,179 @@ for (let i = 0; i < buildings.length - 1; i += 3) {
   }
 }
 
+// ----- World Collision -----
+// Static world geometry (ground, buildings, stairs, bridges, imported models)
+// is baked into an octree of world-space triangles. It is the one spatial
+// index of the static world: player collision, paintball flight and decal
+// placement all query it instead of testing meshes one by one.
+// Call rebuildWorldCollision() whenever that geometry changes.
+const WALKABLE_NORMAL_Y = Math.cos(THREE.MathUtils.degToRad(50)); // steepest walkable slope
+const STEP_HEIGHT = 0.45; // tallest ledge the player walks up without jumping
+const COLLISION_SUBSTEP = 1 / 120; // seconds
+let worldOctree = new Octree();
+
+function rebuildWorldCollision() {
+  const octree = new Octree();
+  for (const mesh of [ground, ...buildingMeshes]) {
+    mesh.updateWorldMatrix(true, false);
+    const position = mesh.geometry.getAttribute('position');
+    const index = mesh.geometry.index;
+    const count = index ? index.count : position.count;
+    for (let i = 0; i < count; i += 3) {
+      const [a, b, c] = [0, 1, 2].map((k) => new THREE.Vector3()
+        .fromBufferAttribute(position, index ? index.getX(i + k) : i + k)
+        .applyMatrix4(mesh.matrixWorld));
+      const triangle = new THREE.Triangle(a, b, c);
+      triangle.mesh = mesh; // source mesh, reported by worldRaycast()
+      octree.addTriangle(triangle);
+    }
+  }
+  worldOctree = octree.build();
+}
+
+rebuildWorldCollision();
+
+const _cellEntry = new THREE.Vector3();
+const _triangleHit = new THREE.Vector3();
+
+// Closest front-facing world triangle along `ray` within `far`. Only octree
+// cells the ray enters before the best hit so far are searched. The result
+// is shaped like a Raycaster intersection (distance, point, face.normal,
+// object) plus the octree `triangle`; null when nothing is hit.
+function worldRaycast(ray, far = Infinity) {
+  let best = null;
+  let bestDistance = far;
+  const stack = [worldOctree];
+  while (stack.length) {
+    const node = stack.pop();
+    for (const cell of node.subTrees) {
+      // intersectBox() reports the exit point when starting inside the cell
+      if (!cell.box.containsPoint(ray.origin)) {
+        const entry = ray.intersectBox(cell.box, _cellEntry);
+        if (!entry || entry.distanceTo(ray.origin) > bestDistance) continue;
+      }
+      if (cell.triangles.length === 0) {
+        stack.push(cell);
+        continue;
+      }
+      for (const triangle of cell.triangles) {
+        if (!ray.intersectTriangle(triangle.a, triangle.b, triangle.c, true, _triangleHit)) continue;
+        const distance = _triangleHit.distanceTo(ray.origin);
+        if (distance <= bestDistance) {
+          bestDistance = distance;
+          best = triangle;
+        }
+      }
+    }
+  }
+  if (!best) return null;
+  return {
+    distance: bestDistance,
+    point: ray.at(bestDistance, new THREE.Vector3()),
+    face: { normal: best.getNormal(new THREE.Vector3()) },
+    object: best.mesh,
+    triangle: best
+  };
+}
+
+const _collisionTriangles = [];
+const _stepTriangles = [];
+const _stepCollider = new Capsule();
+const _push = new THREE.Vector3();
+
+// Lift the capsule onto a low ledge if there is room for it up there
+function tryStepUp(collider, rise) {
+  _stepCollider.copy(collider);
+  _stepCollider.translate(_push.set(0, rise + 0.02, 0));
+  _stepTriangles.length = 0;
+  worldOctree.getCapsuleTriangles(_stepCollider, _stepTriangles);
+  for (const triangle of _stepTriangles) {
+    const hit = worldOctree.triangleCapsuleIntersect(_stepCollider, triangle);
+    if (hit && hit.depth > 0.01 && hit.normal.y < WALKABLE_NORMAL_Y) return false;
+  }
+  collider.copy(_stepCollider);
+  return true;
+}
+
+// Push the capsule out of the world and clip `velocity` against what it hit.
+// Walkable surfaces push straight up (no sliding down gentle slopes), steeper
+// ones act as walls the player slides along. Returns true when standing.
+function collideCapsule(collider, velocity, canStep) {
+  let onGround = false;
+  _collisionTriangles.length = 0;
+  worldOctree.getCapsuleTriangles(collider, _collisionTriangles);
+
+  for (const triangle of _collisionTriangles) {
+    const hit = worldOctree.triangleCapsuleIntersect(collider, triangle);
+    if (!hit) continue;
+    const { normal, point, depth } = hit;
+
+    if (normal.y >= WALKABLE_NORMAL_Y) {
+      collider.translate(_push.set(0, Math.min(depth / normal.y, depth * 2), 0));
+      if (velocity.y < 0) velocity.y = 0;
+      onGround = true;
+    } else if (normal.y <= -WALKABLE_NORMAL_Y) {
+      // Ceiling
+      collider.translate(_push.copy(normal).multiplyScalar(depth));
+      if (velocity.y > 0) velocity.y = 0;
+    } else {
+      const rise = point.y - (collider.start.y - collider.radius);
+      if (canStep && rise > 0 && rise <= STEP_HEIGHT && tryStepUp(collider, rise)) {
+        onGround = true;
+        continue;
+      }
+      collider.translate(_push.copy(normal).multiplyScalar(depth));
+      const into = velocity.dot(normal);
+      if (into < 0) velocity.addScaledVector(normal, -into);
+    }
+  }
+  return onGround;
+}
+
 // ----- Player -----
 const playerRadius = 0.4;
 const playerHeight = 1.7;
 
-// Fallback capsule if model fails or while loading
+// Spawn at the origin, or the nearest spot in a ring around it that is not
+// inside a building footprint
+function findSpawnPoint() {
+  const clear = (x, z) => buildings.every((b) =>
+    Math.abs(x - b.x) > b.w / 2 + playerRadius || Math.abs(z - b.z) > b.d / 2 + playerRadius);
+  for (let r = 0; r < 60; r += 2) {
+    for (let a = 0; a < 16; a++) {
+      const x = Math.cos((a / 16) * Math.PI * 2) * r;
+      const z = Math.sin((a / 16) * Math.PI * 2) * r;
+      if (clear(x, z)) return new THREE.Vector3(x, 0, z);
+      if (r === 0) break;
+    }
+  }
+  return new THREE.Vector3(0, 0, 0);
+}
+
+// Fallback capsule if model fails or while loading (pivot at the feet, like the model)
+const playerCapsuleGeo = new THREE.CapsuleGeometry(playerRadius, playerHeight - 2 * playerRadius, 8, 16);
+playerCapsuleGeo.translate(0, playerHeight / 2, 0);
 let playerMesh = new THREE.Mesh(
-  new THREE.CapsuleGeometry(playerRadius, playerHeight - 2 * playerRadius, 8, 16),
+  playerCapsuleGeo,
   new THREE.MeshStandardMaterial({ color: 0x3333ff })
 );
 playerMesh.castShadow = true;
-playerMesh.position.set(0, playerHeight / 2, 0);
+// Where the player (re)spawns; levels can set it
+const playerSpawn = { position: findSpawnPoint(), yaw: 0 };
+playerMesh.position.copy(playerSpawn.position);
 scene.add(playerMesh);
 
 const player = {
   mesh: playerMesh,
   velocity: new THREE.Vector3(0, 0, 0),
   onGround: false,
+  height: playerHeight, // collision capsule height (lower when crouching)
   yaw: 0, // horizontal rotation
-  pitch: 0 // vertical rotation (for camera)
+  pitch: 0, // vertical rotation (for camera)
+  eliminated: false, // hit by a bot, waiting to respawn
+  eliminatedBy: null,
+  respawnTimer: 0,
+  protection: 0 // seconds of spawn protection left
 };
 
 // Load Human Model
@@ -255,6 +711,9 @@ let mixer = null;
 const gltfLoader = new GLTFLoader();
 const modelUrl = 'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/models/gltf/Soldier.glb';
 let rightHandBone = null;
+// Untouched copy of the loaded Soldier and its clips, for createSoldier()
+let soldierTemplate = null;
+let soldierClips = [];
 
 // Create Gun Model (Procedural)
 function createGun() {
@@ -303,9 +762,12 @@ function createGun() {
 gltfLoader.load(
   modelUrl,
   (gltf) => {
+    soldierTemplate = cloneSkinned(gltf.scene);
+    soldierClips = gltf.animations;
     scene.remove(playerMesh); // Remove capsule
     
     const model = gltf.scene;
+    model.position.copy(playerMesh.position);
     model.scale.set(1, 1, 1);
     model.traverse((obj) => {
       if (obj.isMesh) {
@@ -367,6 +829,8 @@ gltfLoader.load(
     };
     
     console.log("Player model loaded");
+    applyBotModels();
+    applyRemotePlayerModels();
   },
   undefined,
   (err) => {
@@ -374,493 +838,5974 @@ gltfLoader.load(
   }
 );
 
-// ----- Mouse Look (Pointer Lock) -----
-let isPointerLocked = false;
-let mouseDeltaX = 0;
-let mouseDeltaY = 0;
+// Another Soldier with its own animation mixer and gun, for characters other
+// than the player. Returns null until the model has loaded.
+function createSoldier() {
+  if (!soldierTemplate) return null;
+  const model = cloneSkinned(soldierTemplate);
+  let hand = null;
+  model.traverse((obj) => {
+    if (obj.isMesh) {
+      obj.castShadow = true;
+      obj.receiveShadow = true;
+    }
+    if (obj.isBone && (obj.name === 'mixamorigRightHand' || obj.name === 'RightHand' || obj.name === 'Hand.R')) {
+      hand = obj;
+    }
+  });
+  const gun = createGun();
+  gun.scale.set(5, 5, 5);
+  const spine = model.getObjectByName('mixamorigSpine1') || model.getObjectByName('mixamorigSpine') || null;
+  if (hand) {
+    gun.position.set(0, -0.2, 0.2);
+    gun.rotation.set(0, -Math.PI / 2, Math.PI / 2);
+    hand.add(gun);
+  } else {
+    gun.position.set(0.3, 1.2, 0.5);
+    model.add(gun);
+  }
+  const mixer = new THREE.AnimationMixer(model);
+  const [idleClip, runClip, , walkClip] = soldierClips;
+  const animations = {
+    idle: idleClip ? mixer.clipAction(idleClip) : null,
+    run: runClip ? mixer.clipAction(runClip) : null,
+    walk: walkClip ? mixer.clipAction(walkClip) : null
+  };
+  if (animations.idle) animations.idle.play();
+  return { model, mixer, animations, gun, spine, currentAction: 'idle' };
+}
 
-canvas.addEventListener('click', () => {
-  canvas.requestPointerLock();
-});
+// Cross-fade a createSoldier() character to another clip
+function setSoldierAnimation(soldier, name, timeScale = 1) {
+  const action = soldier.animations[name];
+  if (!action) return;
+  action.timeScale = timeScale;
+  if (soldier.currentAction === name) return;
+  const previous = soldier.animations[soldier.currentAction];
+  action.reset().fadeIn(0.2).play();
+  if (previous) previous.fadeOut(0.2);
+  soldier.currentAction = name;
+}
 
-document.addEventListener('pointerlockchange', () => {
-  isPointerLocked = document.pointerLockElement === canvas;
-});
+// ----- Player Physics -----
+const GRAVITY = -30;
+const playerCollider = new Capsule();
+const _playerMove = new THREE.Vector3();
 
-document.addEventListener('mousemove', (e) => {
-  if (isPointerLocked) {
-    mouseDeltaX += e.movementX;
-    mouseDeltaY += e.movementY;
-  }
-});
+// Gravity, integration and capsule collision in fixed substeps so fast
+// movement can't tunnel through thin geometry like bridges and stairs
+function movePlayer(delta, gravityScale = 1) {
+  const pos = player.mesh.position;
+  const total = Math.min(delta, 0.1);
+  const steps = Math.max(1, Math.ceil(total / COLLISION_SUBSTEP));
+  const dt = total / steps;
 
-// ----- Input handling -----
-const keys = {};
+  playerCollider.start.set(pos.x, pos.y + playerRadius, pos.z);
+  playerCollider.end.set(pos.x, pos.y + player.height - playerRadius, pos.z);
+  playerCollider.radius = playerRadius;
 
-window.addEventListener("keydown", (e) => {
-  keys[e.code] = true;
-  if (e.code === "Escape") {
-    document.exitPointerLock();
+  for (let i = 0; i < steps; i++) {
+    player.velocity.y += GRAVITY * gravityScale * dt;
+    playerCollider.translate(_playerMove.copy(player.velocity).multiplyScalar(dt));
+    player.onGround = collideCapsule(playerCollider, player.velocity, player.onGround);
   }
-  if (e.code === "Tab") {
-    e.preventDefault();
-    toggleFocusMode();
+
+  pos.set(playerCollider.start.x, playerCollider.start.y - playerRadius, playerCollider.start.z);
+
+  // Backup ground clamp beyond the edge of the ground plane
+  if (pos.y < 0) {
+    pos.y = 0;
+    player.velocity.y = 0;
+    player.onGround = true;
   }
-});
+}
 
-window.addEventListener("keyup", (e) => {
-  keys[e.code] = false;
-});
+// ----- Parkour Controller -----
+// Movement states layered on top of movePlayer(): sprint with stamina,
+// crouch and slide, ledge mantle, wall-run (along or up a wall) and wall-jump.
+// Each state drives its own camera feedback and Soldier animation.
+const parkourSettings = {
+  runSpeed: 10,
+  sprintSpeed: 15,
+  crouchSpeed: 5,
+  airControl: 4, // 1/s, how quickly air velocity follows input
+  jumpSpeed: 12,
+  standHeight: playerHeight,
+  crouchHeight: 1.1,
+  staminaMax: 100,
+  staminaRegen: 20, // per second
+  staminaRegenDelay: 1, // seconds after stamina was last used
+  staminaRecover: 25, // exhausted until stamina climbs back to this
+  sprintCost: 20, // per second
+  wallRunCost: 15, // per second
+  wallJumpCost: 15,
+  mantleCost: 10,
+  slideBoost: 1.2, // speed multiplier when a slide starts
+  slideFriction: 1.2, // 1/s
+  slideMinSpeed: 5,
+  mantleReach: 2.2, // highest ledge above the feet that can be grabbed
+  mantleDuration: 0.45,
+  wallRunSpeed: 13,
+  wallRunMinSpeed: 7,
+  wallRunMaxTime: 1.4,
+  wallRunGravity: 0.2, // gravity multiplier while running along a wall
+  wallClimbSpeed: 7,
+  wallClimbMaxTime: 0.5,
+  wallJumpPush: 9,
+  wallJumpUp: 11
+};
 
-// Prevent context menu
-window.addEventListener("contextmenu", (e) => e.preventDefault());
+// Soldier clip and playback speed for each movement state
+const parkourAnimations = {
+  idle: ['idle', 1],
+  run: ['run', 1],
+  sprint: ['run', 1.4],
+  crouch: ['walk', 0.6],
+  crouchIdle: ['idle', 0.5],
+  slide: ['idle', 0.3],
+  wallrun: ['run', 1.6],
+  wallclimb: ['run', 1.2],
+  mantle: ['walk', 2]
+};
 
-// ----- Floating Targets System -----
-const targets = [];
-const MAX_TARGETS = 30;
+const parkour = {
+  state: 'air', // ground | air | slide | wallrun | wallclimb | mantle
+  stateTime: 0,
+  stamina: parkourSettings.staminaMax,
+  staminaCooldown: 0,
+  exhausted: false,
+  crouching: false,
+  sprinting: false,
+  airSpeed: parkourSettings.runSpeed, // horizontal speed carried through a jump
+  wallNormal: new THREE.Vector3(),
+  lastWallNormal: new THREE.Vector3(),
+  wallCooldown: 0,
+  climbUsed: false,
+  mantleFrom: new THREE.Vector3(),
+  mantleTo: new THREE.Vector3(),
+  jumpHeld: false,
+  crouchHeld: false,
+  // Camera feedback, eased towards per-state targets
+  eyeHeight: 1.6,
+  fovKick: 0,
+  fovPunch: 0,
+  roll: 0,
+  bobTime: 0,
+  bob: 0
+};
 
-function createTarget() {
-  // Create a circular target with rings
-  const targetGroup = new THREE.Group();
-  
-  // Outer ring (red)
-  const outerGeo = new THREE.CircleGeometry(0.8, 32);
-  const outerMat = new THREE.MeshStandardMaterial({ 
-    color: 0xff3333, 
-    side: THREE.DoubleSide,
-    emissive: 0xff0000,
-    emissiveIntensity: 0.4
-  });
-  const outer = new THREE.Mesh(outerGeo, outerMat);
-  targetGroup.add(outer);
-  
-  // Middle ring (white)
-  const middleGeo = new THREE.CircleGeometry(0.5, 32);
-  const middleMat = new THREE.MeshStandardMaterial({ 
-    color: 0xffffff, 
-    side: THREE.DoubleSide,
-    emissive: 0xffffff,
-    emissiveIntensity: 0.2
-  });
-  const middle = new THREE.Mesh(middleGeo, middleMat);
-  middle.position.z = 0.01;
-  targetGroup.add(middle);
-  
-  // Bullseye (red)
-  const bullseyeGeo = new THREE.CircleGeometry(0.2, 32);
-  const bullseyeMat = new THREE.MeshStandardMaterial({ 
-    color: 0xff0000, 
-    side: THREE.DoubleSide,
-    emissive: 0xff0000,
-    emissiveIntensity: 0.6
+const DOWN = new THREE.Vector3(0, -1, 0);
+const _parkourRay = new THREE.Ray();
+const _rayOrigin = new THREE.Vector3();
+const _fitCollider = new Capsule();
+const _fitTriangles = [];
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _wish = new THREE.Vector3();
+
+// Nearest near-vertical surface along `dir` from `height` above the feet
+function probeWall(dir, height, maxDistance) {
+  const feet = player.mesh.position;
+  _parkourRay.set(_rayOrigin.set(feet.x, feet.y + height, feet.z), dir);
+  const hit = worldRaycast(_parkourRay, maxDistance);
+  if (!hit) return null;
+  const normal = hit.face.normal;
+  if (Math.abs(normal.y) > 0.3) return null;
+  return { point: hit.point, normal, distance: hit.distance };
+}
+
+function capsuleFits(feet, height) {
+  _fitCollider.start.set(feet.x, feet.y + playerRadius + 0.02, feet.z);
+  _fitCollider.end.set(feet.x, feet.y + height - playerRadius, feet.z);
+  _fitCollider.radius = playerRadius - 0.02;
+  _fitTriangles.length = 0;
+  worldOctree.getCapsuleTriangles(_fitCollider, _fitTriangles);
+  return _fitTriangles.every((triangle) => {
+    const hit = worldOctree.triangleCapsuleIntersect(_fitCollider, triangle);
+    return !hit || hit.depth < 0.01;
   });
-  const bullseye = new THREE.Mesh(bullseyeGeo, bullseyeMat);
-  bullseye.position.z = 0.02;
-  targetGroup.add(bullseye);
-  
-  // Store materials for pulsing effect
-  targetGroup.userData.materials = [outerMat, middleMat, bullseyeMat];
-  
-  // Random position in the air
-  const angle = Math.random() * Math.PI * 2;
-  const distance = 10 + Math.random() * 30;
-  const x = Math.cos(angle) * distance;
-  const z = Math.sin(angle) * distance;
-  const y = 3 + Math.random() * 15;
-  
-  targetGroup.position.set(x, y, z);
-  
-  // Random drift velocity
-  const driftVelocity = new THREE.Vector3(
-    (Math.random() - 0.5) * 2,
-    (Math.random() - 0.5) * 1,
-    (Math.random() - 0.5) * 2
-  );
-  
-  scene.add(targetGroup);
-  
-  return {
-    mesh: targetGroup,
-    velocity: driftVelocity,
-    hitRadius: 0.8,
-    score: 10,
-    oscillation: Math.random() * Math.PI * 2
-  };
 }
 
-// Spawn initial targets
-for (let i = 0; i < MAX_TARGETS; i++) {
-  targets.push(createTarget());
+// A walkable top within reach just beyond the wall in front, with room to
+// crouch on it. Returns the landing point or null.
+function findLedge(forward) {
+  const reach = playerRadius + 0.6;
+  const wall = probeWall(forward, 0.6, reach) || probeWall(forward, 1.4, reach);
+  if (!wall) return null;
+  const feet = player.mesh.position;
+  const over = wall.point.clone().addScaledVector(forward, playerRadius + 0.15);
+  _parkourRay.set(_rayOrigin.set(over.x, feet.y + parkourSettings.mantleReach + 0.2, over.z), DOWN);
+  const top = worldRaycast(_parkourRay, parkourSettings.mantleReach + 0.2);
+  if (!top) return null;
+  const rise = top.point.y - feet.y;
+  if (rise <= STEP_HEIGHT || rise > parkourSettings.mantleReach) return null;
+  if (top.face.normal.y < WALKABLE_NORMAL_Y) return null;
+  if (!capsuleFits(top.point, parkourSettings.crouchHeight)) return null;
+  return top.point;
 }
 
-// Explosion effect when target is hit
-function createExplosion(position, color) {
-  const particleCount = 20;
-  for (let i = 0; i < particleCount; i++) {
-    const particleGeo = new THREE.SphereGeometry(0.1, 4, 4);
-    const particleMat = new THREE.MeshBasicMaterial({ color });
-    const particle = new THREE.Mesh(particleGeo, particleMat);
-    
-    particle.position.copy(position);
-    scene.add(particle);
-    
-    const velocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 10,
-      (Math.random() - 0.5) * 10,
-      (Math.random() - 0.5) * 10
-    );
-    
-    paintballs.push({
-      mesh: particle,
-      velocity: velocity,
-      color: color.clone(),
-      life: 0.5
-    });
-  }
+function spendStamina(amount) {
+  parkour.stamina = Math.max(0, parkour.stamina - amount);
+  parkour.staminaCooldown = parkourSettings.staminaRegenDelay;
+  if (parkour.stamina <= 0) parkour.exhausted = true;
 }
 
-// ----- Paintball and Splatter System -----
-const paintballs = [];
-const splatters = [];
-const raycaster = new THREE.Raycaster();
-let score = 0;
+function updateStamina(delta, drainPerSecond) {
+  const s = parkourSettings;
+  if (drainPerSecond > 0) {
+    spendStamina(drainPerSecond * delta);
+  } else if (parkour.staminaCooldown > 0) {
+    parkour.staminaCooldown -= delta;
+  } else {
+    parkour.stamina = Math.min(s.staminaMax, parkour.stamina + s.staminaRegen * delta);
+  }
+  if (parkour.exhausted && parkour.stamina >= s.staminaRecover) parkour.exhausted = false;
 
-// ----- Focus Mode System -----
-let focusMode = 'focused'; // 'focused' or 'broad'
-const focusModes = {
-  focused: {
-    fov: 45,
-    fogDensity: 0.01,
-    vignette: 'focused',
-    label: 'FOCUSED'
-  },
-  broad: {
-    fov: 90,
-    fogDensity: 0.03,
-    vignette: 'broad',
-    label: 'BROAD'
+  const fillEl = document.getElementById('staminaFill');
+  if (fillEl) {
+    fillEl.style.width = `${(parkour.stamina / s.staminaMax) * 100}%`;
+    fillEl.classList.toggle('exhausted', parkour.exhausted);
   }
-};
+}
 
-function updateScoreDisplay() {
-  const scoreEl = document.getElementById('score');
-  if (scoreEl) scoreEl.textContent = `Score: ${score}`;
+function setParkourState(state) {
+  if (parkour.state === state) return;
+  parkour.state = state;
+  parkour.stateTime = 0;
 }
 
-function showHitFeedback() {
-  const crosshair = document.getElementById('crosshair');
-  if (crosshair) {
-    crosshair.classList.add('hit');
-    setTimeout(() => {
-      crosshair.classList.remove('hit');
-    }, 100);
-  }
+function setPlayerAnimation(name, timeScale = 1) {
+  if (!player.animations) return;
+  const action = player.animations[name];
+  if (!action) return;
+  action.timeScale = timeScale;
+  if (player.currentAction === name) return;
+  const previous = player.animations[player.currentAction];
+  action.reset().fadeIn(0.2).play();
+  if (previous) previous.fadeOut(0.2);
+  player.currentAction = name;
 }
 
-function toggleFocusMode() {
-  focusMode = focusMode === 'focused' ? 'broad' : 'focused';
-  const mode = focusModes[focusMode];
-  
-  // Update UI
-  const focusModeEl = document.getElementById('focusMode');
-  if (focusModeEl) focusModeEl.textContent = mode.label;
-  
-  // Update vignette
-  const vignetteEl = document.getElementById('vignette');
-  if (vignetteEl) {
-    vignetteEl.className = mode.vignette;
-  }
-  
-  // Animate FOV change
-  animateFOV(mode.fov);
-  
-  // Update fog (more fog in broad mode for cloudiness)
-  scene.fog.near = focusMode === 'focused' ? 20 : 10;
-  scene.fog.far = focusMode === 'focused' ? 100 : 60;
-  
-  // Adjust rendering quality for blur effect in broad mode
-  const pixelRatio = focusMode === 'focused' 
-    ? window.devicePixelRatio 
-    : window.devicePixelRatio * 0.7;
-  renderer.setPixelRatio(pixelRatio);
+function startMantle(ledge) {
+  spendStamina(parkourSettings.mantleCost);
+  parkour.mantleFrom.copy(player.mesh.position);
+  parkour.mantleTo.copy(ledge);
+  parkour.mantleTo.y += 0.01;
+  player.velocity.set(0, 0, 0);
+  player.height = parkourSettings.crouchHeight;
+  setParkourState('mantle');
 }
 
-function animateFOV(targetFOV) {
-  const startFOV = camera.fov;
-  const duration = 1000; // ms
-  const startTime = Date.now();
-  
-  function updateFOV() {
-    const elapsed = Date.now() - startTime;
-    const progress = Math.min(elapsed / duration, 1);
-    
-    // Smooth easing
-    const eased = progress < 0.5 
-      ? 2 * progress * progress 
-      : 1 - Math.pow(-2 * progress + 2, 2) / 2;
-    
-    camera.fov = startFOV + (targetFOV - startFOV) * eased;
-    camera.updateProjectionMatrix();
-    
-    if (progress < 1) {
-      requestAnimationFrame(updateFOV);
-    }
+// Pull up first, then roll forward onto the ledge
+function updateMantle() {
+  const t = Math.min(parkour.stateTime / parkourSettings.mantleDuration, 1);
+  const up = Math.min(t / 0.6, 1);
+  const over = Math.max((t - 0.6) / 0.4, 0);
+  const pos = player.mesh.position;
+  pos.y = THREE.MathUtils.lerp(parkour.mantleFrom.y, parkour.mantleTo.y, 1 - (1 - up) * (1 - up));
+  pos.x = THREE.MathUtils.lerp(parkour.mantleFrom.x, parkour.mantleTo.x, over);
+  pos.z = THREE.MathUtils.lerp(parkour.mantleFrom.z, parkour.mantleTo.z, over);
+  if (t >= 1) {
+    player.onGround = true;
+    parkour.climbUsed = false;
+    setParkourState('ground');
   }
-  
-  updateFOV();
 }
 
-// Pre-load splatter texture
-const splatterTextureLoader = new THREE.TextureLoader();
-// Using a procedural approach for texture to ensure no CORS issues, or data URI
-function createSplatterTexture() {
-  const canvas = document.createElement('canvas');
-  canvas.width = 128;
-  canvas.height = 128;
-  const ctx = canvas.getContext('2d');
-  // ... (drawing code inside createSplatter function mostly)
-  // Let's return the canvas directly
-  return canvas; 
-}
-
-function createSplatter(position, normal, color, size = 1.5) {
-  const orient = new THREE.Euler();
-  const quat = new THREE.Quaternion();
-  quat.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
-  orient.setFromQuaternion(quat);
-
-  const decalGeo = new DecalGeometry(
-      new THREE.Mesh(new THREE.BoxGeometry(1,1,1)), // Placeholder, DecalGeometry needs a mesh to project on? 
-      // Wait, DecalGeometry constructor takes (mesh, position, orientation, size)
-      // We need to find WHICH mesh we hit to project correctly on it.
-      // We'll pass the hit object from raycast result.
-      // See usage below.
-  );
+function wallJump(normal, forward) {
+  const s = parkourSettings;
+  spendStamina(s.wallJumpCost);
+  player.velocity.copy(normal).multiplyScalar(s.wallJumpPush).addScaledVector(forward, s.runSpeed * 0.5);
+  player.velocity.y = s.wallJumpUp;
+  parkour.airSpeed = Math.max(s.runSpeed, Math.hypot(player.velocity.x, player.velocity.z));
+  parkour.lastWallNormal.copy(normal);
+  parkour.wallCooldown = 0.35;
+  parkour.climbUsed = false;
+  parkour.fovPunch = 6;
+  setParkourState('air');
 }
 
-// Improved Splatter function that takes the hit object
-function addDecal(hit, color) {
-    const size = 1.0 + Math.random() * 1.5;
-    const position = hit.point.clone();
-    const orientation = new THREE.Euler();
-    
-    // Calculate orientation
-    const mouseHelper = new THREE.Object3D();
-    mouseHelper.position.copy(position);
-    mouseHelper.lookAt(position.clone().add(hit.face.normal));
-    orientation.copy(mouseHelper.rotation);
-    orientation.z = Math.random() * 2 * Math.PI;
+// Nearby wall in any horizontal direction, for wall-jumps out of free fall
+function findNearbyWall(forward, right) {
+  const reach = playerRadius + 0.4;
+  for (const dir of [right, forward]) {
+    const hit = probeWall(dir, 1.0, reach) || probeWall(dir.clone().negate(), 1.0, reach);
+    if (hit) return hit;
+  }
+  return null;
+}
 
-    const scale = new THREE.Vector3(size, size, size); // box size for projection?
-    // DecalGeometry( mesh, position, orientation, sizeVector )
-    
-    const decalGeo = new DecalGeometry(hit.object, position, orientation, scale);
-
-    // Create procedural texture per splatter color
-    const canvas = document.createElement('canvas');
-    canvas.width = 64;
-    canvas.height = 64;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = `rgba(${Math.floor(color.r * 255)}, ${Math.floor(color.g * 255)}, ${Math.floor(color.b * 255)}, 0.9)`;
-    
-    // Random blob
-    ctx.beginPath();
-    ctx.arc(32, 32, 15 + Math.random() * 10, 0, Math.PI * 2);
-    ctx.fill();
-    for(let i=0; i<8; i++) {
-        const r = 2 + Math.random() * 5;
-        const a = Math.random() * Math.PI * 2;
-        const d = 15 + Math.random() * 15;
-        ctx.beginPath();
-        ctx.arc(32 + Math.cos(a)*d, 32 + Math.sin(a)*d, r, 0, Math.PI*2);
-        ctx.fill();
-    }
+function updateParkour(delta, move) {
+  const s = parkourSettings;
+  const forward = _forward.set(-Math.sin(player.yaw), 0, -Math.cos(player.yaw));
+  const right = _right.set(Math.cos(player.yaw), 0, -Math.sin(player.yaw));
+  const wish = _wish.set(0, 0, 0).addScaledVector(right, move.x).addScaledVector(forward, -move.z);
+  if (wish.lengthSq() > 0) wish.normalize();
+  const moving = wish.lengthSq() > 0;
+  const forwardHeld = move.z < 0;
+  const jumpHeld = actionHeld('jump');
+  const crouchHeld = actionHeld('crouch');
+  const jumpPressed = jumpHeld && !parkour.jumpHeld;
+  const crouchPressed = crouchHeld && !parkour.crouchHeld;
+  parkour.jumpHeld = jumpHeld;
+  parkour.crouchHeld = crouchHeld;
+  parkour.stateTime += delta;
+  parkour.wallCooldown = Math.max(0, parkour.wallCooldown - delta);
 
-    const texture = new THREE.CanvasTexture(canvas);
-    
-    const decalMat = new THREE.MeshBasicMaterial({
-        map: texture,
-        transparent: true,
-        depthWrite: false,
-        polygonOffset: true,
-        polygonOffsetFactor: -4,
-        side: THREE.DoubleSide
-    });
+  let drain = 0;
+  let gravityScale = 1;
+  parkour.sprinting = false;
 
-    const m = new THREE.Mesh(decalGeo, decalMat);
-    scene.add(m);
-    splatters.push(m);
+  if (parkour.state === 'mantle') {
+    updateMantle();
+  } else {
+    const grounded = player.onGround;
+    const horizontalSpeed = Math.hypot(player.velocity.x, player.velocity.z);
+    const airborne = parkour.state === 'air' || parkour.state === 'wallrun' || parkour.state === 'wallclimb';
 
-    // Limit splatters
-    if (splatters.length > 200) {
-        const old = splatters.shift();
-        scene.remove(old);
-        old.geometry.dispose();
-        old.material.dispose();
-    }
-}
+    // Mantle: grab a ledge in reach while airborne, or vault it with jump
+    const ledge = forwardHeld && parkour.stamina >= s.mantleCost && (airborne || (grounded && jumpPressed))
+      ? findLedge(forward)
+      : null;
 
-window.addEventListener("mousedown", (e) => {
-  // Left click shoots paintball (only when pointer locked)
-  if (e.button === 0 && isPointerLocked) {
-    shootPaintball();
-  }
-});
+    if (ledge) {
+      startMantle(ledge);
+    } else {
+      // Wall-jump off the wall we're running on, or any wall close by in the air
+      if (jumpPressed && !grounded && parkour.stamina >= s.wallJumpCost) {
+        const wall = parkour.state === 'wallrun' || parkour.state === 'wallclimb'
+          ? { normal: parkour.wallNormal.clone() }
+          : findNearbyWall(forward, right);
+        if (wall) wallJump(wall.normal, forward);
+      }
+
+      // Start a slide out of a sprint
+      if (grounded && crouchPressed && horizontalSpeed > s.runSpeed + 1) {
+        player.velocity.x *= s.slideBoost;
+        player.velocity.z *= s.slideBoost;
+        setParkourState('slide');
+      }
+
+      // Crouch while held, and stay crouched without headroom to stand
+      const wantsCrouch = crouchHeld || parkour.state === 'slide';
+      parkour.crouching = wantsCrouch ||
+        (player.height < s.standHeight && !capsuleFits(player.mesh.position, s.standHeight));
+      player.height = parkour.crouching ? s.crouchHeight : s.standHeight;
+
+      if (parkour.state === 'slide') {
+        const friction = Math.exp(-s.slideFriction * delta);
+        player.velocity.x *= friction;
+        player.velocity.z *= friction;
+        if (!grounded) {
+          parkour.airSpeed = horizontalSpeed;
+          setParkourState('air');
+        } else if (horizontalSpeed < s.slideMinSpeed || !crouchHeld) {
+          setParkourState('ground');
+        }
+      } else if (parkour.state === 'wallrun') {
+        const wall = probeWall(parkour.wallNormal.clone().negate(), 1.0, playerRadius + 0.5);
+        if (!wall || !forwardHeld || parkour.exhausted || parkour.stateTime > s.wallRunMaxTime) {
+          parkour.lastWallNormal.copy(parkour.wallNormal);
+          parkour.wallCooldown = 0.35;
+          setParkourState('air');
+        } else {
+          // Run along the wall in the direction we're facing, hugging it
+          parkour.wallNormal.copy(wall.normal);
+          const along = forward.clone().addScaledVector(wall.normal, -forward.dot(wall.normal)).normalize();
+          player.velocity.x = along.x * s.wallRunSpeed - wall.normal.x;
+          player.velocity.z = along.z * s.wallRunSpeed - wall.normal.z;
+          gravityScale = s.wallRunGravity;
+          drain += s.wallRunCost;
+        }
+      } else if (parkour.state === 'wallclimb') {
+        const wall = probeWall(forward, 1.0, playerRadius + 0.5);
+        if (!wall || !forwardHeld || parkour.stateTime > s.wallClimbMaxTime) {
+          setParkourState('air');
+        } else {
+          parkour.wallNormal.copy(wall.normal);
+          player.velocity.set(-wall.normal.x, s.wallClimbSpeed, -wall.normal.z);
+          gravityScale = 0;
+          drain += s.wallRunCost;
+        }
+      } else if (grounded) {
+        parkour.sprinting = moving && forwardHeld && !parkour.crouching && !parkour.exhausted &&
+          actionHeld('sprint');
+        const speed = parkour.crouching ? s.crouchSpeed : parkour.sprinting ? s.sprintSpeed : s.runSpeed;
+        player.velocity.x = wish.x * speed;
+        player.velocity.z = wish.z * speed;
+        if (parkour.sprinting) drain += s.sprintCost;
+      } else if (parkour.state === 'air') {
+        if (moving) {
+          const speed = Math.max(s.runSpeed, parkour.airSpeed);
+          const blend = 1 - Math.exp(-s.airControl * delta);
+          player.velocity.x += (wish.x * speed - player.velocity.x) * blend;
+          player.velocity.z += (wish.z * speed - player.velocity.z) * blend;
+        }
+
+        // Catch a wall to run along or up
+        if (forwardHeld && !parkour.exhausted) {
+          const side = probeWall(right, 1.0, playerRadius + 0.35) ||
+            probeWall(right.clone().negate(), 1.0, playerRadius + 0.35);
+          const front = probeWall(forward, 1.0, playerRadius + 0.4);
+          const freshWall = (wall) => parkour.wallCooldown <= 0 || wall.normal.dot(parkour.lastWallNormal) < 0.9;
+          if (side && horizontalSpeed >= s.wallRunMinSpeed && Math.abs(forward.dot(side.normal)) < 0.7 && freshWall(side)) {
+            parkour.wallNormal.copy(side.normal);
+            player.velocity.y = THREE.MathUtils.clamp(player.velocity.y, 1, 4);
+            setParkourState('wallrun');
+          } else if (front && !parkour.climbUsed && forward.dot(front.normal) < -0.75 &&
+            player.velocity.y > -2 && freshWall(front)) {
+            parkour.wallNormal.copy(front.normal);
+            parkour.climbUsed = true;
+            setParkourState('wallclimb');
+          }
+        }
+      }
+
+      // Jump (also out of a slide, keeping its momentum)
+      if (jumpHeld && grounded && parkour.state !== 'mantle') {
+        player.velocity.y = s.jumpSpeed;
+        player.onGround = false;
+        parkour.airSpeed = Math.max(s.runSpeed, Math.hypot(player.velocity.x, player.velocity.z));
+        setParkourState('air');
+      }
+
+      movePlayer(delta, gravityScale);
+
+      if (player.onGround) {
+        parkour.climbUsed = false;
+        if (parkour.state !== 'slide') setParkourState('ground');
+      } else if (parkour.state === 'ground') {
+        parkour.airSpeed = Math.max(s.runSpeed, Math.hypot(player.velocity.x, player.velocity.z));
+        setParkourState('air');
+      }
+    }
+  }
+
+  updateStamina(delta, drain);
+  updateParkourFeedback(delta, moving, right);
+}
+
+// Camera targets and animation for the current movement state
+function updateParkourFeedback(delta, moving, right) {
+  const state = parkour.state;
+  let eye = 1.6;
+  let fov = 0;
+  let roll = 0;
+  let animation = null;
+
+  if (state === 'mantle') {
+    eye = 1.2;
+    animation = 'mantle';
+  } else if (state === 'slide') {
+    eye = 0.8;
+    fov = 6;
+    roll = THREE.MathUtils.degToRad(3);
+    animation = 'slide';
+  } else if (state === 'wallrun') {
+    fov = 5;
+    // Lean away from the wall
+    roll = THREE.MathUtils.degToRad(12) * -Math.sign(right.dot(parkour.wallNormal));
+    animation = 'wallrun';
+  } else if (state === 'wallclimb') {
+    fov = 3;
+    animation = 'wallclimb';
+  } else if (state === 'ground') {
+    if (parkour.crouching) {
+      eye = 1.0;
+      animation = moving ? 'crouch' : 'crouchIdle';
+    } else if (parkour.sprinting) {
+      fov = 8;
+      animation = 'sprint';
+    } else {
+      animation = moving ? 'run' : 'idle';
+    }
+  }
+
+  const ease = (rate) => 1 - Math.exp(-rate * delta);
+  parkour.eyeHeight += (eye - parkour.eyeHeight) * ease(12);
+  parkour.fovKick += (fov - parkour.fovKick) * ease(6);
+  parkour.roll += (roll - parkour.roll) * ease(8);
+  parkour.fovPunch *= Math.exp(-5 * delta);
+
+  // Head bob scales with running speed
+  const bobbing = (state === 'ground' && moving) || state === 'wallrun';
+  if (bobbing) {
+    const speed = Math.hypot(player.velocity.x, player.velocity.z);
+    const stride = Math.floor(parkour.bobTime / Math.PI);
+    parkour.bobTime += delta * speed * 0.9;
+    parkour.bob = Math.sin(parkour.bobTime * 2) * 0.03 * (speed / parkourSettings.runSpeed);
+    // A footfall once per bob
+    if (Math.floor(parkour.bobTime / Math.PI) !== stride) {
+      playSound('step', player.mesh.position, speed / parkourSettings.runSpeed);
+    }
+  } else {
+    parkour.bob *= Math.exp(-10 * delta);
+  }
+
+  if (animation) setPlayerAnimation(...parkourAnimations[animation]);
+}
+
+// ----- Mouse Look (Pointer Lock) -----
+let isPointerLocked = false;
+let mouseDeltaX = 0;
+let mouseDeltaY = 0;
+
+canvas.addEventListener('click', () => {
+  startAudio();
+  // The level editor uses the free cursor instead
+  if (!editor.active) canvas.requestPointerLock();
+});
+
+document.addEventListener('pointerlockchange', () => {
+  isPointerLocked = document.pointerLockElement === canvas;
+  onPointerLockChange();
+});
+
+document.addEventListener('mousemove', (e) => {
+  if (isPointerLocked) {
+    mouseDeltaX += e.movementX;
+    mouseDeltaY += e.movementY;
+  }
+});
+
+// ----- Input handling -----
+// Gameplay reads actions rather than keys. Each action lists its bindings:
+// keyboard codes (KeyboardEvent.code) or 'Mouse0'..'Mouse4' for mouse buttons,
+// rebindable from the pause menu, and buttons of a standard-mapping gamepad.
+// Held actions are polled with actionHeld(); `press` runs once per press.
+const BINDINGS_KEY = 'shooterFocus.bindings';
+const inputActions = {
+  moveForward: { label: 'Move forward', keys: ['KeyW'], pad: [12] },
+  moveBack: { label: 'Move back', keys: ['KeyS'], pad: [13] },
+  moveLeft: { label: 'Move left', keys: ['KeyA'], pad: [14] },
+  moveRight: { label: 'Move right', keys: ['KeyD'], pad: [15] },
+  jump: { label: 'Jump', keys: ['Space'], pad: [0] },
+  crouch: { label: 'Crouch / slide', keys: ['KeyC'], pad: [1] },
+  sprint: { label: 'Sprint', keys: ['ShiftLeft', 'ShiftRight'], pad: [10] },
+  flyUp: { label: 'Fly up', keys: ['KeyE'], pad: [5] },
+  flyDown: { label: 'Fly down', keys: ['KeyQ'], pad: [4] },
+  lookLeft: { label: 'Look left', keys: ['ArrowLeft'], pad: [] },
+  lookRight: { label: 'Look right', keys: ['ArrowRight'], pad: [] },
+  lookUp: { label: 'Look up', keys: ['ArrowUp'], pad: [] },
+  lookDown: { label: 'Look down', keys: ['ArrowDown'], pad: [] },
+  fire: { label: 'Fire', keys: ['Mouse0'], pad: [7], press: () => firePaintball() },
+  toggleFocus: { label: 'Toggle focus', keys: ['Tab'], pad: [3], press: () => toggleFocusMode() },
+  camera: { label: 'Camera mode', keys: ['KeyV'], pad: [8], press: () => { if (!editor.active) cycleCameraMode(); } },
+  pause: { label: 'Pause menu', keys: ['Escape'], pad: [9], press: () => togglePause() }
+};
+const defaultBindings = Object.fromEntries(Object.entries(inputActions).map(([name, action]) => [name, action.keys]));
+const GAMEPAD_BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+  'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right'
+];
+
+function loadBindings() {
+  const saved = readStoredObject(BINDINGS_KEY);
+  for (const [name, action] of Object.entries(inputActions)) {
+    const codes = saved[name];
+    if (Array.isArray(codes) && codes.every((code) => typeof code === 'string')) action.keys = codes;
+  }
+}
+
+function saveBindings() {
+  const bindings = Object.fromEntries(Object.entries(inputActions).map(([name, action]) => [name, action.keys]));
+  writeStorage(BINDINGS_KEY, JSON.stringify(bindings));
+}
+
+// Bind `code` to one action, taking it away from any other
+function bindAction(name, code) {
+  for (const action of Object.values(inputActions)) {
+    action.keys = action.keys.filter((key) => key !== code);
+  }
+  inputActions[name].keys = [code];
+  saveBindings();
+}
+
+function resetBindings() {
+  for (const [name, action] of Object.entries(inputActions)) action.keys = defaultBindings[name];
+  saveBindings();
+}
+
+function bindingLabel(code) {
+  const mouse = code.match(/^Mouse(\d)$/);
+  if (mouse) return ['Left click', 'Middle click', 'Right click'][mouse[1]] || `Mouse ${Number(mouse[1]) + 1}`;
+  if (code.startsWith('Arrow')) return `${code.slice(5)} arrow`;
+  return code.replace(/^(Key|Digit)/, '').replace(/(.)(Left|Right)$/, '$1 $2');
+}
+
+loadBindings();
+
+const keys = {}; // held key codes and mouse buttons
+
+function actionHeld(name) {
+  const action = inputActions[name];
+  return action.keys.some((code) => keys[code]) || action.pad.some((button) => gamepad.buttons[button]);
+}
+
+// Run the press handler of the action bound to `code`; returns that action
+function pressInput(code) {
+  const action = Object.values(inputActions).find((candidate) => candidate.keys.includes(code));
+  if (action && action.press) action.press();
+  return action;
+}
+
+// Movement intent in the view's frame: x to the right, z backwards, at most
+// 1 long
+function inputMove(target) {
+  target.set(
+    Number(actionHeld('moveRight')) - Number(actionHeld('moveLeft')) + gamepad.move.x,
+    0,
+    Number(actionHeld('moveBack')) - Number(actionHeld('moveForward')) + gamepad.move.y
+  );
+  if (target.lengthSq() > 1) target.normalize();
+  return target;
+}
+
+// Turn rate from the look keys and the right stick, -1..1 per axis (x right,
+// y down). The stick is squared for finer aim near the centre.
+function inputLook(target) {
+  const stick = gamepad.look.length();
+  return target.set(
+    Number(actionHeld('lookRight')) - Number(actionHeld('lookLeft')) + gamepad.look.x * stick,
+    Number(actionHeld('lookDown')) - Number(actionHeld('lookUp')) + gamepad.look.y * stick
+  ).clampScalar(-1, 1);
+}
+
+window.addEventListener("keydown", (e) => {
+  // Let UI text fields receive their own keystrokes
+  if (e.target instanceof HTMLInputElement && (e.target.type === "text" || e.target.type === "number")) return;
+  if (captureBinding(e.code)) {
+    e.preventDefault();
+    return;
+  }
+  keys[e.code] = true;
+  if (e.repeat) return;
+  const action = pressInput(e.code);
+  // Keep Tab and friends from moving the page focus
+  if (action && action.press) e.preventDefault();
+});
+
+window.addEventListener("keyup", (e) => {
+  keys[e.code] = false;
+});
+
+window.addEventListener("mousedown", (e) => {
+  const code = `Mouse${e.button}`;
+  if (captureBinding(code, e.target)) {
+    e.preventDefault();
+    return;
+  }
+  keys[code] = true;
+  // Clicks only count inside the game, not on the panels
+  if (isPointerLocked) pressInput(code);
+});
+
+window.addEventListener("mouseup", (e) => {
+  keys[`Mouse${e.button}`] = false;
+});
+
+// Prevent context menu
+window.addEventListener("contextmenu", (e) => e.preventDefault());
+
+// --- Gamepad ---
+// The first connected pad is polled every frame: left stick to move, right
+// stick to look, face buttons and triggers through inputActions.
+const GAMEPAD_PRESS_THRESHOLD = 0.5; // trigger travel that counts as a press
+const gamepad = {
+  connected: false,
+  buttons: [], // pressed state per button
+  move: new THREE.Vector2(),
+  look: new THREE.Vector2()
+};
+
+// Radial deadzone, rescaled so the stick still reaches 1 at full tilt
+function readStick(x, y, target) {
+  const length = Math.hypot(x, y);
+  const deadzone = settings.stickDeadzone;
+  if (length <= deadzone) return target.set(0, 0);
+  const scale = Math.min(1, (length - deadzone) / (1 - deadzone)) / length;
+  return target.set(x * scale, y * scale);
+}
+
+function pollGamepad() {
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  const pad = Array.from(pads).find((candidate) => candidate && candidate.connected);
+  if (!pad) {
+    if (gamepad.connected) {
+      gamepad.connected = false;
+      gamepad.buttons = [];
+      gamepad.move.set(0, 0);
+      gamepad.look.set(0, 0);
+    }
+    return;
+  }
+  gamepad.connected = true;
+  const pressed = pad.buttons.map((button) => button.value > GAMEPAD_PRESS_THRESHOLD);
+  for (const action of Object.values(inputActions)) {
+    if (action.press && action.pad.some((button) => pressed[button] && !gamepad.buttons[button])) action.press();
+  }
+  gamepad.buttons = pressed;
+  readStick(pad.axes[0] || 0, pad.axes[1] || 0, gamepad.move);
+  readStick(pad.axes[2] || 0, pad.axes[3] || 0, gamepad.look);
+}
+
+// ----- Floating Targets System -----
+const targets = [];
+
+// Volumes targets spawn in, picked at random per target; levels can replace them.
+//   ring: between two radii around `center` [x, z], between minY and maxY
+//   box:  anywhere inside `min` [x, y, z] .. `max` [x, y, z]
+const DEFAULT_TARGET_SPAWNS = [
+  { type: 'ring', center: [0, 0], innerRadius: 10, outerRadius: 40, minY: 3, maxY: 18 }
+];
+let targetSpawnVolumes = DEFAULT_TARGET_SPAWNS;
+
+function sampleTargetSpawn() {
+  const volumes = targetSpawnVolumes.length ? targetSpawnVolumes : DEFAULT_TARGET_SPAWNS;
+  const volume = volumes.length === 1
+    ? volumes[0]
+    : volumes[Math.floor(targetRandom() * volumes.length)];
+  if (volume.type === 'box') {
+    return new THREE.Vector3(
+      THREE.MathUtils.lerp(volume.min[0], volume.max[0], targetRandom()),
+      THREE.MathUtils.lerp(volume.min[1], volume.max[1], targetRandom()),
+      THREE.MathUtils.lerp(volume.min[2], volume.max[2], targetRandom())
+    );
+  }
+  const angle = targetRandom() * Math.PI * 2;
+  const distance = volume.innerRadius + targetRandom() * (volume.outerRadius - volume.innerRadius);
+  const x = volume.center[0] + Math.cos(angle) * distance;
+  const z = volume.center[1] + Math.sin(angle) * distance;
+  const y = volume.minY + targetRandom() * (volume.maxY - volume.minY);
+  return new THREE.Vector3(x, y, z);
+}
+
+// Targets are drawn as three instanced layers (outer ring, middle ring,
+// bullseye), each one shared geometry and material for every target. A target
+// itself is plain data, recycled through `targetPool`; its instances are
+// rewritten from `targets` every frame by writeTargetInstances().
+const TARGET_POOL_SIZE = 128; // instance capacity, the most targets alive at once
+const targetLayers = [
+  { ring: 'outer', radius: 0.8, offset: 0, emissiveIntensity: 0.4 },
+  { ring: 'middle', radius: 0.5, offset: 0.01, emissiveIntensity: 0.2 },
+  { ring: 'bullseye', radius: 0.2, offset: 0.02, emissiveIntensity: 0.6, pulse: true }
+];
+
+// Target varieties. Each one picks its ring colors, the points per ring hit
+// and how it moves:
+//   colors  - outer, middle and bullseye ring colors
+//   points  - score per ring, before the focus score multiplier (negative
+//             points are a penalty and are not multiplied)
+//   motion  - 'drift' (wander and bob), 'strafe' (fast side to side) or
+//             'orbit' (circle the nearest building)
+//   speed   - strafe / orbit speed in m/s
+//   shrink  - scale lost per second, down to minScale
+//   armor   - paintballs needed to break it
+//   weight  - relative spawn chance
+const targetTypes = {
+  standard: {
+    colors: [0xff3333, 0xffffff, 0xff0000],
+    points: { outer: 10, middle: 25, bullseye: 50 },
+    motion: 'drift',
+    weight: 6
+  },
+  strafer: {
+    colors: [0x3399ff, 0xffffff, 0x0055ff],
+    points: { outer: 20, middle: 40, bullseye: 80 },
+    motion: 'strafe',
+    speed: 7,
+    weight: 2
+  },
+  orbiter: {
+    colors: [0x33dd77, 0xffffff, 0x00aa44],
+    points: { outer: 15, middle: 35, bullseye: 70 },
+    motion: 'orbit',
+    speed: 5,
+    weight: 2
+  },
+  shrinker: {
+    colors: [0xffcc33, 0xffffff, 0xff8800],
+    points: { outer: 20, middle: 50, bullseye: 100 },
+    motion: 'drift',
+    shrink: 0.08,
+    minScale: 0.3,
+    weight: 1.5
+  },
+  armored: {
+    colors: [0x778899, 0xc0c8d0, 0x334455],
+    points: { outer: 40, middle: 75, bullseye: 150 },
+    motion: 'drift',
+    armor: 3,
+    weight: 1
+  },
+  decoy: {
+    colors: [0xaa33ff, 0x222222, 0xaa33ff],
+    points: { outer: -30, middle: -30, bullseye: -30 },
+    motion: 'drift',
+    decoy: true,
+    weight: 1
+  }
+};
+const targetTypeNames = Object.keys(targetTypes);
+const targetTypeWeight = targetTypeNames.reduce((sum, name) => sum + targetTypes[name].weight, 0);
+
+function pickTargetType() {
+  let pick = targetRandom() * targetTypeWeight;
+  for (const name of targetTypeNames) {
+    pick -= targetTypes[name].weight;
+    if (pick < 0) return name;
+  }
+  return 'standard';
+}
+
+// Emissive glow takes the per-instance color, so one material serves every
+// target color and the pulse can differ per target
+function tintEmissiveByInstance(shader) {
+  shader.fragmentShader = shader.fragmentShader.replace(
+    '#include <emissivemap_fragment>',
+    '#include <emissivemap_fragment>\n#ifdef USE_COLOR\n  totalEmissiveRadiance *= vColor;\n#endif'
+  );
+}
+
+const targetMeshes = targetLayers.map((layer) => {
+  const material = new THREE.MeshStandardMaterial({
+    color: 0xffffff,
+    side: THREE.DoubleSide,
+    emissive: 0xffffff,
+    emissiveIntensity: layer.emissiveIntensity
+  });
+  material.onBeforeCompile = tintEmissiveByInstance;
+  const mesh = new THREE.InstancedMesh(new THREE.CircleGeometry(layer.radius, 32), material, TARGET_POOL_SIZE);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  // Colors must exist before the first render so the shader is built with them
+  for (let i = 0; i < TARGET_POOL_SIZE; i++) mesh.setColorAt(i, new THREE.Color(0xffffff));
+  mesh.count = 0;
+  mesh.frustumCulled = false; // instances move every frame
+  scene.add(mesh);
+  return mesh;
+});
+
+const targetPool = [];
+const _targetMatrix = new THREE.Matrix4();
+const _targetQuaternion = new THREE.Quaternion();
+const _targetLayerPosition = new THREE.Vector3();
+const _targetNormal = new THREE.Vector3();
+const _targetScale = new THREE.Vector3(1, 1, 1);
+const _targetColor = new THREE.Color();
+const _targetFlash = new THREE.Color(0xffffff);
+
+function createTarget(type = pickTargetType()) {
+  const target = targetPool.pop() || {
+    position: new THREE.Vector3(),
+    velocity: new THREE.Vector3(),
+    anchor: new THREE.Vector3(), // strafe centre / orbit centre
+    axis: new THREE.Vector3() // strafe direction
+  };
+  const config = targetTypes[type];
+  
+  // Random position in the air
+  target.position.copy(sampleTargetSpawn());
+  
+  // Random drift velocity
+  target.velocity.set(
+    (targetRandom() - 0.5) * 2,
+    (targetRandom() - 0.5) * 1,
+    (targetRandom() - 0.5) * 2
+  );
+  
+  target.type = type;
+  target.hitRadius = 0.8;
+  target.scale = 1;
+  target.armor = config.armor || 1;
+  target.flash = 0; // armor hit highlight, fades from 1 to 0
+  target.oscillation = targetRandom() * Math.PI * 2;
+  target.phase = targetRandom() * Math.PI * 2;
+
+  if (config.motion === 'strafe') {
+    const angle = targetRandom() * Math.PI * 2;
+    target.axis.set(Math.cos(angle), 0, Math.sin(angle));
+    target.amplitude = 4 + targetRandom() * 4;
+    target.anchor.copy(target.position);
+  } else if (config.motion === 'orbit') {
+    // Circle the building closest to the spawn point, or the spawn point itself
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const building of buildings) {
+      const distance = Math.hypot(building.x - target.position.x, building.z - target.position.z);
+      if (distance < nearestDistance) {
+        nearest = building;
+        nearestDistance = distance;
+      }
+    }
+    if (nearest) {
+      target.anchor.set(nearest.x, target.position.y, nearest.z);
+      target.amplitude = Math.hypot(nearest.w, nearest.d) / 2 + 2.5;
+    } else {
+      target.anchor.copy(target.position);
+      target.amplitude = 6;
+    }
+    target.phase = Math.atan2(target.position.z - target.anchor.z, target.position.x - target.anchor.x);
+    target.direction = targetRandom() < 0.5 ? -1 : 1;
+  }
+  return target;
+}
+
+// Advance one target by its type's motion
+function moveTarget(target, delta) {
+  const config = targetTypes[target.type];
+  const step = delta * focusRuleValue('targetSpeed');
+  target.oscillation += delta;
+  target.flash = Math.max(0, target.flash - delta * 4);
+  if (config.shrink) target.scale = Math.max(config.minScale, target.scale - config.shrink * delta);
+
+  if (config.motion === 'strafe') {
+    // Peak speed along the axis is config.speed
+    target.phase += step * config.speed / target.amplitude;
+    target.position.copy(target.anchor).addScaledVector(target.axis, Math.sin(target.phase) * target.amplitude);
+    return;
+  }
+  if (config.motion === 'orbit') {
+    target.phase += step * target.direction * config.speed / target.amplitude;
+    target.position.set(
+      target.anchor.x + Math.cos(target.phase) * target.amplitude,
+      target.anchor.y + Math.sin(target.oscillation * 2) * 0.5,
+      target.anchor.z + Math.sin(target.phase) * target.amplitude
+    );
+    return;
+  }
+
+  // Drift movement
+  target.position.addScaledVector(target.velocity, step);
+  
+  // Oscillation for more organic movement
+  const oscillate = Math.sin(target.oscillation * 2) * 0.5;
+  target.position.y += oscillate * delta;
+  
+  // Keep targets in bounds
+  const maxDist = 50;
+  if (target.position.length() > maxDist) {
+    target.velocity.multiplyScalar(-1);
+  }
+  
+  // Keep targets above ground
+  if (target.position.y < 2) {
+    target.position.y = 2;
+    target.velocity.y = Math.abs(target.velocity.y);
+  }
+}
+
+const _ringNormal = new THREE.Vector3();
+const _ringOffset = new THREE.Vector3();
+const _ringCentre = new THREE.Vector3();
+
+// Ring a paintball travelling from `from` to `to` hits: where its path
+// crosses the target's disc (which faces the camera), measured from the centre.
+// Grazes just outside the disc still count as the outer ring.
+function targetRing(target, from, to) {
+  _ringNormal.subVectors(camera.position, target.position).normalize();
+  _ringOffset.subVectors(to, from);
+  const along = _ringOffset.dot(_ringNormal);
+  if (Math.abs(along) > 1e-6) {
+    const s = _ringCentre.subVectors(target.position, from).dot(_ringNormal) / along;
+    _ringOffset.multiplyScalar(s).add(from).sub(target.position);
+  } else {
+    _ringOffset.subVectors(from, target.position);
+  }
+  _ringOffset.addScaledVector(_ringNormal, -_ringOffset.dot(_ringNormal));
+  const radius = _ringOffset.length() / target.scale;
+  for (let l = targetLayers.length - 1; l > 0; l--) {
+    if (radius <= targetLayers[l].radius) return targetLayers[l].ring;
+  }
+  return targetLayers[0].ring;
+}
+
+// Hand a removed target back to the pool
+function releaseTarget(target) {
+  targetPool.push(target);
+}
+
+// Write every live target into the instance buffers, each layer facing the camera
+function writeTargetInstances() {
+  const count = Math.min(targets.length, TARGET_POOL_SIZE);
+  for (let i = 0; i < count; i++) {
+    const target = targets[i];
+    _targetMatrix.lookAt(camera.position, target.position, camera.up);
+    _targetQuaternion.setFromRotationMatrix(_targetMatrix);
+    _targetNormal.set(0, 0, 1).applyQuaternion(_targetQuaternion);
+    _targetScale.setScalar(target.scale);
+    const colors = targetTypes[target.type].colors;
+    // Pulsing glow effect, stronger on the bullseye
+    const pulse = (Math.sin(target.oscillation * 3) + 1) * 0.5;
+    targetLayers.forEach((layer, l) => {
+      _targetLayerPosition.copy(target.position).addScaledVector(_targetNormal, layer.offset);
+      _targetMatrix.compose(_targetLayerPosition, _targetQuaternion, _targetScale);
+      targetMeshes[l].setMatrixAt(i, _targetMatrix);
+      _targetColor.setHex(colors[l]);
+      if (layer.pulse) _targetColor.multiplyScalar(1 + pulse * 0.67);
+      if (target.flash > 0) _targetColor.lerp(_targetFlash, target.flash);
+      targetMeshes[l].setColorAt(i, _targetColor);
+    });
+  }
+  for (const mesh of targetMeshes) {
+    mesh.count = count;
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+  }
+}
+
+// Spawn initial targets
+for (let i = 0; i < settings.maxTargets; i++) {
+  targets.push(createTarget());
+}
+
+// ----- Particle System -----
+// Purely visual effects: hit bursts, splat spray and muzzle flashes. Each
+// system keeps its particles in fixed-size typed arrays drawn as one Points
+// object, and never touches gameplay state (particles do not score, collide
+// or paint).
+const PARTICLE_GRAVITY = -9.8; // m/s^2
+const MUZZLE_FLASH_COLOR = new THREE.Color(1, 0.75, 0.35);
+
+const particleVertexShader = `
+  attribute vec4 particleColor;
+  attribute float size;
+  uniform float viewportHalfHeight;
+  varying vec4 vColor;
+  #include <fog_pars_vertex>
+  void main() {
+    vColor = particleColor;
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    // \`size\` is in world units
+    gl_PointSize = size * projectionMatrix[1][1] * viewportHalfHeight / -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+    #include <fog_vertex>
+  }
+`;
+
+const particleFragmentShader = `
+  varying vec4 vColor;
+  #include <fog_pars_fragment>
+  void main() {
+    vec2 offset = gl_PointCoord - 0.5;
+    float r2 = dot(offset, offset);
+    if (r2 > 0.25) discard;
+    // Soft round dot
+    gl_FragColor = vec4(vColor.rgb, vColor.a * (1.0 - r2 * 4.0));
+    #include <colorspace_fragment>
+    #include <fog_fragment>
+  }
+`;
+
+function createParticleSystem(capacity, blending) {
+  const positions = new Float32Array(capacity * 3);
+  const colors = new Float32Array(capacity * 4);
+  const sizes = new Float32Array(capacity);
+  const velocities = new Float32Array(capacity * 3);
+  const ages = new Float32Array(capacity);
+  const lifetimes = new Float32Array(capacity);
+  const gravities = new Float32Array(capacity);
+  let count = 0;
+
+  const geometry = new THREE.BufferGeometry();
+  const positionAttribute = new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage);
+  const colorAttribute = new THREE.BufferAttribute(colors, 4).setUsage(THREE.DynamicDrawUsage);
+  const sizeAttribute = new THREE.BufferAttribute(sizes, 1).setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute('position', positionAttribute);
+  geometry.setAttribute('particleColor', colorAttribute);
+  geometry.setAttribute('size', sizeAttribute);
+  geometry.setDrawRange(0, 0);
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, { viewportHalfHeight: { value: 1 } }]),
+    vertexShader: particleVertexShader,
+    fragmentShader: particleFragmentShader,
+    transparent: true,
+    depthWrite: false,
+    fog: true,
+    blending
+  });
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false; // particles are spread all over the city
+  scene.add(points);
+
+  const _direction = new THREE.Vector3();
+
+  // Emit `count` particles from `position`. They fly off at up to `speed` in
+  // random directions, or within `cone` (0 = tight, 1 = hemisphere-ish) of
+  // `direction` when given, and fade out over `life` seconds.
+  function emit({ position, color, count: amount, speed, life, size, gravity = PARTICLE_GRAVITY, direction = null, cone = 1 }) {
+    for (let n = 0; n < amount && count < capacity; n++, count++) {
+      const i = count;
+      _direction.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
+      if (direction) _direction.multiplyScalar(cone).add(direction).normalize();
+      _direction.multiplyScalar(speed * (0.4 + Math.random() * 0.6));
+      position.toArray(positions, i * 3);
+      _direction.toArray(velocities, i * 3);
+      color.toArray(colors, i * 4);
+      colors[i * 4 + 3] = 1;
+      sizes[i] = size * (0.6 + Math.random() * 0.8);
+      ages[i] = 0;
+      lifetimes[i] = life * (0.6 + Math.random() * 0.4);
+      gravities[i] = gravity;
+    }
+  }
+
+  // Move particles from slot `from` into slot `to`
+  function moveParticle(from, to) {
+    positions.copyWithin(to * 3, from * 3, from * 3 + 3);
+    velocities.copyWithin(to * 3, from * 3, from * 3 + 3);
+    colors.copyWithin(to * 4, from * 4, from * 4 + 4);
+    sizes[to] = sizes[from];
+    ages[to] = ages[from];
+    lifetimes[to] = lifetimes[from];
+    gravities[to] = gravities[from];
+  }
+
+  function update(delta) {
+    for (let i = 0; i < count; i++) {
+      ages[i] += delta;
+      if (ages[i] >= lifetimes[i]) {
+        // Keep live particles packed at the front
+        count--;
+        if (i < count) moveParticle(count, i);
+        i--;
+        continue;
+      }
+      velocities[i * 3 + 1] += gravities[i] * delta;
+      positions[i * 3] += velocities[i * 3] * delta;
+      positions[i * 3 + 1] += velocities[i * 3 + 1] * delta;
+      positions[i * 3 + 2] += velocities[i * 3 + 2] * delta;
+      colors[i * 4 + 3] = 1 - ages[i] / lifetimes[i];
+    }
+    geometry.setDrawRange(0, count);
+    positionAttribute.needsUpdate = true;
+    colorAttribute.needsUpdate = true;
+    sizeAttribute.needsUpdate = true;
+    // Point sizes follow the render resolution, which changes with the window size
+    material.uniforms.viewportHalfHeight.value = renderer.getDrawingBufferSize(_particleBufferSize).y / 2;
+  }
+
+  return { emit, update };
+}
+
+const _particleBufferSize = new THREE.Vector2();
+const paintParticles = createParticleSystem(2048, THREE.NormalBlending);
+const flashParticles = createParticleSystem(256, THREE.AdditiveBlending);
+
+function updateParticles(delta) {
+  paintParticles.update(delta);
+  flashParticles.update(delta);
+}
+
+// Explosion effect when target is hit
+function createExplosion(position, color) {
+  paintParticles.emit({ position, color, count: 24, speed: 7, life: 0.7, size: 0.2 });
+  playSound('hit', position);
+}
+
+// Spray thrown back off a wall splat
+function createSplash(point, normal, color) {
+  paintParticles.emit({ position: point, color, count: 10, speed: 3, life: 0.45, size: 0.12, direction: normal, cone: 0.8 });
+}
+
+function createMuzzleFlash(position, direction) {
+  flashParticles.emit({
+    position, color: MUZZLE_FLASH_COLOR, count: 8, speed: 4, life: 0.08, size: 0.25,
+    gravity: 0, direction, cone: 0.35
+  });
+  playSound('shot', position);
+}
+
+// ----- Sound -----
+// Every sound is synthesised with Web Audio from noise and oscillators, so
+// nothing has to be downloaded. One-shots (shots, splats, target hits,
+// footsteps) are placed in the world with HRTF panners; the city ambience is
+// not. Everything then passes through the focus chain: a low-pass filter that
+// muffles the mix and a stereo width control that narrows it as focus drops
+// (audioLowpass / audioWidth in focusModes).
+const SOUND_MAX_VOICES = 32; // one-shots playing at once; more are dropped
+const SOUND_RANGE = 80; // metres; one-shots further away are skipped
+const sound = {
+  context: null,
+  master: null, // every sound connects here
+  lowpass: null,
+  width: null, // cross-feed gains between the stereo channels
+  noise: null, // one second of white noise shared by all sounds
+  voices: 0
+};
+
+// Browsers only let audio start from a user gesture, so this runs on the
+// first click into the game
+function startAudio() {
+  if (sound.context) {
+    if (sound.context.state === 'suspended') sound.context.resume();
+    return;
+  }
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  const context = new AudioContextClass();
+  sound.context = context;
+
+  // Mono sources are spread over both channels so the width control has
+  // something to work on
+  sound.master = context.createGain();
+  sound.master.channelCount = 2;
+  sound.master.channelCountMode = 'explicit';
+  sound.master.gain.value = 0.8;
+  sound.lowpass = context.createBiquadFilter();
+  sound.lowpass.type = 'lowpass';
+  sound.master.connect(sound.lowpass);
+
+  // Stereo width: each output channel mixes in part of the other one. At
+  // width 1 the channels pass straight through, at 0 both carry the mono mix.
+  const splitter = context.createChannelSplitter(2);
+  const merger = context.createChannelMerger(2);
+  sound.lowpass.connect(splitter);
+  const feed = (input, output) => {
+    const gain = context.createGain();
+    splitter.connect(gain, input);
+    gain.connect(merger, 0, output);
+    return gain;
+  };
+  sound.width = { leftLeft: feed(0, 0), rightLeft: feed(1, 0), leftRight: feed(0, 1), rightRight: feed(1, 1) };
+  merger.connect(context.destination);
+
+  sound.noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+  const data = sound.noise.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+  applyAudioFocus(focusLevel);
+  startAmbience();
+}
+
+function applyAudioFocus(level) {
+  if (!sound.context) return;
+  const now = sound.context.currentTime;
+  // The cut-off blends on a log scale, so muffling builds evenly as focus drops
+  const broad = focusModes.broad.audioLowpass;
+  const focused = focusModes.focused.audioLowpass;
+  sound.lowpass.frequency.setTargetAtTime(broad * Math.pow(focused / broad, level), now, 0.05);
+  const width = blendFocus('audioWidth', level);
+  const straight = (1 + width) / 2;
+  const crossed = (1 - width) / 2;
+  sound.width.leftLeft.gain.setTargetAtTime(straight, now, 0.05);
+  sound.width.rightRight.gain.setTargetAtTime(straight, now, 0.05);
+  sound.width.rightLeft.gain.setTargetAtTime(crossed, now, 0.05);
+  sound.width.leftRight.gain.setTargetAtTime(crossed, now, 0.05);
+}
+
+// City rumble: looping stereo brown noise, low-passed, with a slowly swelling
+// band of traffic hiss on top
+function startAmbience() {
+  const context = sound.context;
+  const seconds = 6;
+  const buffer = context.createBuffer(2, context.sampleRate * seconds, context.sampleRate);
+  for (let channel = 0; channel < 2; channel++) {
+    const data = buffer.getChannelData(channel);
+    let last = 0;
+    for (let i = 0; i < data.length; i++) {
+      last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+      data[i] = last * 3.5;
+    }
+  }
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+
+  const rumble = context.createBiquadFilter();
+  rumble.type = 'lowpass';
+  rumble.frequency.value = 350;
+  const rumbleGain = context.createGain();
+  rumbleGain.gain.value = 0.25;
+  source.connect(rumble).connect(rumbleGain).connect(sound.master);
+
+  const traffic = context.createBiquadFilter();
+  traffic.type = 'bandpass';
+  traffic.frequency.value = 700;
+  traffic.Q.value = 0.7;
+  const trafficGain = context.createGain();
+  trafficGain.gain.value = 0.05;
+  const swell = context.createOscillator();
+  swell.frequency.value = 0.07;
+  const swellDepth = context.createGain();
+  swellDepth.gain.value = 0.04;
+  swell.connect(swellDepth).connect(trafficGain.gain);
+  source.connect(traffic).connect(trafficGain).connect(sound.master);
+
+  source.start();
+  swell.start();
+}
+
+// Gain that rises to `peak` over `attack` and dies away over `decay`
+function soundEnvelope(context, t, peak, attack, decay) {
+  const envelope = context.createGain();
+  envelope.gain.setValueAtTime(0.0001, t);
+  envelope.gain.exponentialRampToValueAtTime(peak, t + attack);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, t + attack + decay);
+  return envelope;
+}
+
+// Filtered burst from the shared noise; the filter sweeps from `frequency`
+// to `to` over the decay
+function noiseBurst(context, output, t, { type, frequency, to = frequency, q = 1, gain, attack = 0.002, decay }) {
+  const source = context.createBufferSource();
+  source.buffer = sound.noise;
+  const filter = context.createBiquadFilter();
+  filter.type = type;
+  filter.Q.value = q;
+  filter.frequency.setValueAtTime(frequency, t);
+  filter.frequency.exponentialRampToValueAtTime(to, t + attack + decay);
+  source.connect(filter).connect(soundEnvelope(context, t, gain, attack, decay)).connect(output);
+  source.start(t, Math.random() * 0.5);
+  source.stop(t + attack + decay + 0.05);
+}
+
+// Oscillator gliding from `from` to `to` Hz over the decay
+function toneBurst(context, output, t, { type = 'sine', from, to = from, gain, decay }) {
+  const oscillator = context.createOscillator();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(from, t);
+  oscillator.frequency.exponentialRampToValueAtTime(to, t + decay);
+  oscillator.connect(soundEnvelope(context, t, gain, 0.002, decay)).connect(output);
+  oscillator.start(t);
+  oscillator.stop(t + decay + 0.05);
+}
+
+// One-shot recipes. Each plays into `output` at time `t`, scaled in pitch by
+// `pitch`, and returns how long it lasts in seconds.
+const soundEffects = {
+  // Compressed-air pop over a falling thump
+  shot(context, output, t, pitch) {
+    noiseBurst(context, output, t, { type: 'bandpass', frequency: 1800 * pitch, q: 0.8, gain: 0.6, decay: 0.06 });
+    toneBurst(context, output, t, { from: 180 * pitch, to: 60 * pitch, gain: 0.8, decay: 0.09 });
+    return 0.15;
+  },
+  // Wet slap closing down fast
+  splat(context, output, t, pitch) {
+    noiseBurst(context, output, t, { type: 'lowpass', frequency: 2500 * pitch, to: 300 * pitch, q: 2, gain: 0.7, attack: 0.004, decay: 0.16 });
+    return 0.22;
+  },
+  // Target bursting: a bright crack and a short chime
+  hit(context, output, t, pitch) {
+    noiseBurst(context, output, t, { type: 'highpass', frequency: 1200 * pitch, gain: 0.5, decay: 0.05 });
+    toneBurst(context, output, t, { type: 'triangle', from: 1320 * pitch, gain: 0.3, decay: 0.35 });
+    toneBurst(context, output, t, { type: 'triangle', from: 1980 * pitch, gain: 0.15, decay: 0.25 });
+    return 0.4;
+  },
+  // Dull scuff of a shoe
+  step(context, output, t, pitch) {
+    noiseBurst(context, output, t, { type: 'lowpass', frequency: 700 * pitch, to: 250 * pitch, gain: 0.3, decay: 0.07 });
+    toneBurst(context, output, t, { from: 90 * pitch, to: 50 * pitch, gain: 0.25, decay: 0.05 });
+    return 0.12;
+  }
+};
+
+// Play a one-shot from soundEffects at a world position
+function playSound(name, position, volume = 1) {
+  const context = sound.context;
+  if (!context || context.state !== 'running' || volume <= 0) return;
+  if (sound.voices >= SOUND_MAX_VOICES) return;
+  if (position.distanceToSquared(camera.position) > SOUND_RANGE * SOUND_RANGE) return;
+
+  const panner = context.createPanner();
+  panner.panningModel = 'HRTF';
+  panner.distanceModel = 'inverse';
+  panner.refDistance = 2;
+  panner.maxDistance = SOUND_RANGE;
+  panner.positionX.value = position.x;
+  panner.positionY.value = position.y;
+  panner.positionZ.value = position.z;
+  const output = context.createGain();
+  output.gain.value = volume;
+  output.connect(panner).connect(sound.master);
+
+  const duration = soundEffects[name](context, output, context.currentTime, 0.9 + Math.random() * 0.2);
+  sound.voices++;
+  setTimeout(() => {
+    output.disconnect();
+    panner.disconnect();
+    sound.voices--;
+  }, (duration + 0.1) * 1000);
+}
+
+const _listenerForward = new THREE.Vector3();
+const _listenerUp = new THREE.Vector3();
+
+// The listener's ears follow the camera
+function updateAudioListener() {
+  if (!sound.context) return;
+  const listener = sound.context.listener;
+  camera.getWorldDirection(_listenerForward);
+  _listenerUp.set(0, 1, 0).applyQuaternion(camera.quaternion);
+  if (listener.positionX) {
+    listener.positionX.value = camera.position.x;
+    listener.positionY.value = camera.position.y;
+    listener.positionZ.value = camera.position.z;
+    listener.forwardX.value = _listenerForward.x;
+    listener.forwardY.value = _listenerForward.y;
+    listener.forwardZ.value = _listenerForward.z;
+    listener.upX.value = _listenerUp.x;
+    listener.upY.value = _listenerUp.y;
+    listener.upZ.value = _listenerUp.z;
+  } else {
+    // Firefox only has the older setter methods
+    listener.setPosition(camera.position.x, camera.position.y, camera.position.z);
+    listener.setOrientation(_listenerForward.x, _listenerForward.y, _listenerForward.z, _listenerUp.x, _listenerUp.y, _listenerUp.z);
+  }
+}
+
+// ----- Paintball and Splatter System -----
+const paintballs = [];
+const splatters = [];
+let score = 0;
+
+// Ballistics: paintballs fly under gravity with quadratic air drag. Flight is
+// integrated in fixed-size steps and each step is swept against targets and
+// the world, so hits do not depend on the frame rate.
+const paintballSettings = {
+  muzzleVelocity: 40, // m/s, adjustable from the panel
+  gravity: -9.8, // m/s^2
+  drag: 0.008, // quadratic drag coefficient (1/m): deceleration = drag * speed^2
+  radius: 0.15,
+  life: 3 // seconds
+};
+const PAINTBALL_SUBSTEP = 1 / 60; // seconds
+
+// Paintballs share one instanced sphere (unit radius, scaled to size) and are
+// plain data recycled through `paintballPool`, so rapid fire allocates nothing
+const PAINTBALL_POOL_SIZE = 512; // instance capacity, the most balls in flight
+const paintballMesh = new THREE.InstancedMesh(
+  new THREE.SphereGeometry(1, 8, 8),
+  new THREE.MeshStandardMaterial({ color: 0xffffff }),
+  PAINTBALL_POOL_SIZE
+);
+paintballMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+paintballMesh.setColorAt(0, new THREE.Color()); // allocate colors before the first render
+paintballMesh.count = 0;
+paintballMesh.castShadow = true;
+paintballMesh.frustumCulled = false; // instances move every frame
+scene.add(paintballMesh);
+
+const paintballPool = [];
+const _ballMatrix = new THREE.Matrix4();
+
+// Launch a ball; returns null when every instance is already in flight.
+// `owner` is the bot that fired it, or null for the player.
+function spawnPaintball(position, velocity, color, life, owner = null) {
+  if (paintballs.length >= PAINTBALL_POOL_SIZE) return null;
+  const ball = paintballPool.pop() || {
+    position: new THREE.Vector3(),
+    velocity: new THREE.Vector3(),
+    color: new THREE.Color()
+  };
+  ball.position.copy(position);
+  ball.velocity.copy(velocity);
+  ball.color.copy(color);
+  ball.life = life;
+  ball.owner = owner;
+  ball.shot = null; // multiplayer shot id, for the player's own balls
+  paintballs.push(ball);
+  return ball;
+}
+
+function writePaintballInstances() {
+  const radius = paintballSettings.radius;
+  paintballs.forEach((ball, i) => {
+    _ballMatrix.makeScale(radius, radius, radius).setPosition(ball.position);
+    paintballMesh.setMatrixAt(i, _ballMatrix);
+    paintballMesh.setColorAt(i, ball.color);
+  });
+  paintballMesh.count = paintballs.length;
+  paintballMesh.instanceMatrix.needsUpdate = true;
+  paintballMesh.instanceColor.needsUpdate = true;
+}
+
+// Earliest fraction t in [0, 1] of the move from `from` to `to` at which the
+// point comes within `radius` of `center`, or null if it never does
+function sweepSphere(from, to, center, radius) {
+  const dx = to.x - from.x, dy = to.y - from.y, dz = to.z - from.z;
+  const fx = from.x - center.x, fy = from.y - center.y, fz = from.z - center.z;
+  const c = fx * fx + fy * fy + fz * fz - radius * radius;
+  if (c <= 0) return 0; // already touching
+  const a = dx * dx + dy * dy + dz * dz;
+  if (a === 0) return null;
+  const b = 2 * (fx * dx + fy * dy + fz * dz);
+  const disc = b * b - 4 * a * c;
+  if (disc < 0) return null;
+  const t = (-b - Math.sqrt(disc)) / (2 * a);
+  return t >= 0 && t <= 1 ? t : null;
+}
+
+const _sweepMove = new THREE.Vector3();
+const _sweepAxis = new THREE.Vector3();
+const _sweepOffset = new THREE.Vector3();
+
+// Fraction t in [0, 1] of the move from `from` to `to` at which the point
+// passes closest to the capsule's axis, if it comes within the capsule's
+// radius plus `radius` there; null otherwise
+function sweepCapsule(from, to, capsule, radius) {
+  const d1 = _sweepMove.subVectors(to, from);
+  const d2 = _sweepAxis.subVectors(capsule.end, capsule.start);
+  const r = _sweepOffset.subVectors(from, capsule.start);
+  const a = d1.dot(d1);
+  const e = d2.dot(d2);
+  const f = d2.dot(r);
+  let s;
+  let t;
+  // Closest points between the two segments (Ericson, Real-Time Collision Detection 5.1.9)
+  if (a <= 1e-9) {
+    s = 0;
+    t = e > 1e-9 ? THREE.MathUtils.clamp(f / e, 0, 1) : 0;
+  } else {
+    const c = d1.dot(r);
+    if (e <= 1e-9) {
+      t = 0;
+      s = THREE.MathUtils.clamp(-c / a, 0, 1);
+    } else {
+      const b = d1.dot(d2);
+      const denom = a * e - b * b;
+      s = denom > 1e-9 ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = THREE.MathUtils.clamp(-c / a, 0, 1);
+      } else if (t > 1) {
+        t = 1;
+        s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+      }
+    }
+  }
+  // r becomes the gap between the two closest points
+  r.addScaledVector(d1, s).addScaledVector(d2, -t);
+  const reach = capsule.radius + radius;
+  return r.lengthSq() <= reach * reach ? s : null;
+}
+
+function stepPaintball(ball, dt) {
+  const speed = ball.velocity.length();
+  ball.velocity.multiplyScalar(Math.max(0, 1 - paintballSettings.drag * speed * dt));
+  ball.velocity.y += paintballSettings.gravity * dt;
+  ball.position.addScaledVector(ball.velocity, dt);
+}
+
+function removePaintball(index) {
+  paintballPool.push(paintballs[index]);
+  paintballs.splice(index, 1);
+}
+
+function hitTarget(index, ball, ring) {
+  const target = targets[index];
+  const config = targetTypes[target.type];
+  const distance = round3(target.position.distanceTo(camera.position));
+  if (!config.decoy) countRoundHit();
+
+  // Armor soaks up hits before the target breaks
+  if (target.armor > 1) {
+    target.armor--;
+    target.flash = 1;
+    logEvent('hit', {
+      ...logVector('', target.position),
+      distance,
+      points: 0,
+      score,
+      mode: `${target.type}:armor`
+    });
+    showHitFeedback();
+    createSplash(target.position, _ringNormal.subVectors(camera.position, target.position).normalize(), ball.color);
+    return;
+  }
+
+  // Shrinkers pay more the smaller they have become
+  const base = config.shrink ? config.points[ring] / target.scale : config.points[ring];
+  const points = base > 0 ? Math.round(base * focusRuleValue('scoreMultiplier')) : base;
+  score += points;
+  logEvent('hit', {
+    ...logVector('', target.position),
+    distance,
+    points,
+    score,
+    mode: `${target.type}:${ring}`
+  });
+
+  // Hit feedback on crosshair
+  showHitFeedback(points < 0);
+
+  // Explosion effect
+  createExplosion(target.position, ball.color);
+
+  // Remove target and respawn
+  targets.splice(index, 1);
+  releaseTarget(target);
+  if (!config.decoy) countRoundClear();
+  if (targetsRespawn()) targets.push(createTarget());
+
+  // Update score display
+  updateScoreDisplay();
+}
+
+const _ballFrom = new THREE.Vector3();
+const _ballTravel = new THREE.Vector3();
+const _ballRay = new THREE.Ray();
+
+// Resolve one flight step from `from` to `to`. Whichever the ball reaches
+// first along the step wins: a target (swept sphere), a character (capsule)
+// or a wall (raycast). The player's balls hit targets, bots and other
+// players, bot balls hit the player. Other players' balls are only for show:
+// their hits and splats arrive from the server. Returns true when the ball
+// was used up.
+function collidePaintball(ball, from, to) {
+  let hitKind = null; // 'target' | 'bot' | 'remote' | 'player'
+  let hitIndex = -1;
+  let hitT = Infinity;
+  if (!ball.owner) {
+    for (let j = 0; j < targets.length; j++) {
+      const target = targets[j];
+      const reach = target.hitRadius * target.scale * focusRuleValue('hitRadius') + paintballSettings.radius;
+      const t = sweepSphere(from, to, target.position, reach);
+      if (t !== null && t < hitT) {
+        hitT = t;
+        hitKind = 'target';
+        hitIndex = j;
+      }
+    }
+    for (let j = 0; j < bots.length; j++) {
+      if (!bots[j].alive) continue;
+      const t = sweepCapsule(from, to, bots[j].collider, paintballSettings.radius);
+      if (t !== null && t < hitT) {
+        hitT = t;
+        hitKind = 'bot';
+        hitIndex = j;
+      }
+    }
+    for (const remote of multiplayer.players.values()) {
+      if (!remote.alive || !remote.snapshots.length) continue;
+      const t = sweepCapsule(from, to, remote.collider, paintballSettings.radius);
+      if (t !== null && t < hitT) {
+        hitT = t;
+        hitKind = 'remote';
+        hitIndex = remote.id;
+      }
+    }
+  } else if (!ball.owner.remote && playerVulnerable()) {
+    const t = sweepCapsule(from, to, playerHitCapsule(), paintballSettings.radius);
+    if (t !== null) {
+      hitT = t;
+      hitKind = 'player';
+    }
+  }
+
+  _ballTravel.subVectors(to, from);
+  const travel = _ballTravel.length();
+  let wallHit = null;
+  if (travel > 0) {
+    _ballRay.set(from, _ballTravel.divideScalar(travel));
+    wallHit = worldRaycast(_ballRay, travel);
+  }
+
+  if (hitKind && (!wallHit || hitT * travel <= wallHit.distance)) {
+    if (hitKind === 'target') hitTarget(hitIndex, ball, targetRing(targets[hitIndex], from, to));
+    else if (hitKind === 'bot') hitBot(bots[hitIndex], ball);
+    else if (hitKind === 'remote') claimRemoteHit(multiplayer.players.get(hitIndex), ball);
+    else hitPlayer(ball);
+    return true;
+  }
+  if (wallHit) {
+    if (!ball.owner) shareSplat(wallHit, ball.color);
+    if (!ball.owner || !ball.owner.remote) addDecal(wallHit, ball.color);
+    createSplash(wallHit.point, wallHit.face.normal, ball.color);
+    return true;
+  }
+  // Backup ground collision
+  return to.y < 0;
+}
+
+// ----- Focus Mode System -----
+// Focus is a continuous level in [0, 1]: 0 = fully broad, 1 = fully focused.
+// Every focus effect is blended between the two presets below, so any input
+// source (Tab key, EEG stream, replay...) can drive it via setFocusLevel().
+let focusMode = 'focused'; // 'focused' or 'broad' (discrete mode, for labels)
+let focusLevel = 1; // current (smoothed) level
+let focusTarget = 1; // level requested by the active input source
+let focusFov = settings.focusedFov; // camera FOV for the current level
+const FOCUS_SMOOTHING = 6; // 1/s, higher = snappier response to new targets
+// Level thresholds for switching modes, with hysteresis so a noisy signal
+// doesn't flicker. Replaced by per-user values after calibration.
+const focusThresholds = { enter: 0.5, exit: 0.5 };
+const focusModes = {
+  focused: {
+    fov: settings.focusedFov,
+    fogNear: 20,
+    fogFar: 100,
+    sway: 0,
+    dofAperture: 0.00006, // depth-of-field blur per metre away from the focal distance
+    dofMaxBlur: 0.004, // most blur, as a fraction of the screen
+    focusPull: 12, // 1/s, how quickly the focal distance follows the crosshair
+    radialBlur: 0,
+    audioLowpass: 18000, // Hz
+    audioWidth: 1, // stereo width, 0 = mono
+    vignetteOpacity: 1,
+    vignetteClear: 0.6, // share of the centre-to-corner radius left untouched
+    vignetteEdge: 0.9, // edge darkness
+    label: 'FOCUSED'
+  },
+  broad: {
+    fov: settings.broadFov,
+    fogNear: 10,
+    fogFar: 60,
+    sway: 1,
+    dofAperture: 0.0005,
+    dofMaxBlur: 0.012,
+    focusPull: 2,
+    radialBlur: 0.06,
+    audioLowpass: 700,
+    audioWidth: 0.2,
+    vignetteOpacity: 0.7,
+    vignetteClear: 0.2,
+    vignetteEdge: 0.4,
+    label: 'BROAD'
+  }
+};
+
+// Gameplay effects of focus, blended by focus level like focusModes. Each
+// rule set is one "focus rewards" design; switch with the Rules selector.
+//   spread          - random cone half-angle added to shots (radians)
+//   scoreMultiplier - applied to a target's base score
+//   targetSpeed     - multiplier on target drift speed
+//   hitRadius       - multiplier on a target's base hit radius
+const focusRules = {
+  reward: {
+    label: 'Reward focus',
+    focused: { spread: 0, scoreMultiplier: 2, targetSpeed: 0.6, hitRadius: 1.2 },
+    broad: { spread: 0.08, scoreMultiplier: 1, targetSpeed: 1.3, hitRadius: 0.8 }
+  },
+  tradeoff: {
+    label: 'Risk / reward',
+    focused: { spread: 0, scoreMultiplier: 3, targetSpeed: 1.5, hitRadius: 0.7 },
+    broad: { spread: 0.05, scoreMultiplier: 1, targetSpeed: 0.8, hitRadius: 1.3 }
+  },
+  neutral: {
+    label: 'No effect',
+    focused: { spread: 0, scoreMultiplier: 1, targetSpeed: 1, hitRadius: 1 },
+    broad: { spread: 0, scoreMultiplier: 1, targetSpeed: 1, hitRadius: 1 }
+  }
+};
+const FOCUS_RULE_KEY = 'shooterFocus.focusRule';
+let activeFocusRule = focusRules[readStorage(FOCUS_RULE_KEY)] ? readStorage(FOCUS_RULE_KEY) : 'reward';
+
+function updateScoreDisplay() {
+  const scoreEl = document.getElementById('score');
+  if (!scoreEl) return;
+  scoreEl.textContent = paintCityMode
+    ? `City painted: ${(cityPaintCoverage() * 100).toFixed(1)}%`
+    : `Score: ${score}`;
+}
+
+function showHitFeedback(penalty = false) {
+  const crosshair = document.getElementById('crosshair');
+  if (crosshair) {
+    const className = penalty ? 'penalty' : 'hit';
+    crosshair.classList.add(className);
+    setTimeout(() => {
+      crosshair.classList.remove(className);
+    }, penalty ? 250 : 100);
+  }
+}
+
+// Request a new focus level (0 = broad, 1 = focused). Cheap enough to call
+// every frame; the game eases towards it in update().
+function setFocusLevel(value) {
+  if (!Number.isFinite(value)) return;
+  focusTarget = THREE.MathUtils.clamp(value, 0, 1);
+}
+
+function toggleFocusMode() {
+  setFocusLevel(focusTarget >= 0.5 ? 0 : 1);
+}
+
+function blendFocus(key, level) {
+  return THREE.MathUtils.lerp(focusModes.broad[key], focusModes.focused[key], level);
+}
+
+function focusRuleValue(key, level = focusLevel) {
+  const rule = focusRules[activeFocusRule];
+  return THREE.MathUtils.lerp(rule.broad[key], rule.focused[key], level);
+}
+
+function setFocusRule(name) {
+  if (!focusRules[name]) return;
+  activeFocusRule = name;
+  writeStorage(FOCUS_RULE_KEY, name);
+}
+
+// Random direction within a cone of half-angle `spread` around `dir`
+function applySpread(dir, spread) {
+  if (spread <= 0) return dir;
+  const angle = spread * Math.sqrt(Math.random());
+  const around = Math.random() * Math.PI * 2;
+  const helper = Math.abs(dir.y) < 0.99 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+  const u = new THREE.Vector3().crossVectors(dir, helper).normalize();
+  const v = new THREE.Vector3().crossVectors(dir, u);
+  return dir
+    .multiplyScalar(Math.cos(angle))
+    .addScaledVector(u, Math.sin(angle) * Math.cos(around))
+    .addScaledVector(v, Math.sin(angle) * Math.sin(around))
+    .normalize();
+}
+
+function applyFocusLevel(level) {
+  const previousMode = focusMode;
+  if (focusMode === 'broad' && level >= focusThresholds.enter) {
+    focusMode = 'focused';
+  } else if (focusMode === 'focused' && level < focusThresholds.exit) {
+    focusMode = 'broad';
+  }
+  if (focusMode !== previousMode) {
+    logEvent('focus_mode', { mode: focusMode, focus_level: round3(level) });
+  }
+  const mode = focusModes[focusMode];
+
+  // Update UI
+  const focusModeEl = document.getElementById('focusMode');
+  if (focusModeEl) focusModeEl.textContent = `${mode.label} ${Math.round(level * 100)}%`;
+
+  // Lens effects; the focal distance itself follows the crosshair in update()
+  bokehPass.uniforms.aperture.value = blendFocus('dofAperture', level);
+  bokehPass.uniforms.maxblur.value = blendFocus('dofMaxBlur', level);
+  for (const key of ['radialBlur', 'vignetteOpacity', 'vignetteClear', 'vignetteEdge']) {
+    lensPass.uniforms[key].value = blendFocus(key, level);
+  }
+
+  // Applied to the camera in update(), on top of movement FOV kicks
+  focusFov = blendFocus('fov', level);
+
+  // More fog when broad for cloudiness
+  scene.fog.near = blendFocus('fogNear', level);
+  scene.fog.far = blendFocus('fogFar', level);
+
+  applyAudioFocus(level);
+}
+
+function updateFocus(delta) {
+  const previous = focusLevel;
+  focusLevel += (focusTarget - focusLevel) * (1 - Math.exp(-FOCUS_SMOOTHING * delta));
+  if (Math.abs(focusTarget - focusLevel) < 0.001) focusLevel = focusTarget;
+  if (focusLevel !== previous) applyFocusLevel(focusLevel);
+}
+
+// ----- EEG Input (WebSocket band powers) -----
+// Connects to a local stream of Muse-style band powers (see server/eeg-stream.mjs),
+// turns them into a smoothed beta / (alpha + theta) focus index and feeds it
+// to setFocusLevel() like any other focus input source.
+const EEG_DEFAULT_URL = 'ws://localhost:8765';
+const eeg = {
+  socket: null,
+  url: EEG_DEFAULT_URL,
+  connected: false,
+  wantConnection: false,
+  retryDelay: 1000,
+  retryTimer: null,
+  rawIndex: null, // latest unsmoothed focus index
+  index: null, // exponentially smoothed focus index
+  level: null, // last focus level sent to setFocusLevel()
+  smoothing: 0.2, // weight of each new sample in the moving average
+  range: { low: 0.2, high: 1.0 } // index values that map to focus 0 and 1
+};
+
+// A band is either one value or one value per channel; Muse absolute band
+// powers are log10 (Bels) and are linearised before averaging.
+function averageBand(value, bels) {
+  const values = (Array.isArray(value) ? value : [value])
+    .filter((v) => typeof v === 'number' && Number.isFinite(v))
+    .map((v) => (bels ? Math.pow(10, v) : v));
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Accepts { bands: { alpha: [...], ... } } or the bands at the top level
+function parseBandPowers(msg) {
+  const source = msg.bands || msg;
+  const bels = msg.units === 'bels';
+  const bands = {};
+  for (const band of ['delta', 'theta', 'alpha', 'beta', 'gamma']) {
+    bands[band] = averageBand(source[band], bels);
+  }
+  if (bands.theta === null || bands.alpha === null || bands.beta === null) return null;
+  return bands;
+}
+
+function computeFocusIndex(bands) {
+  const denominator = bands.alpha + bands.theta;
+  return denominator > 0 ? bands.beta / denominator : null;
+}
+
+function normalizeFocusIndex(index) {
+  const { low, high } = eeg.range;
+  return THREE.MathUtils.clamp((index - low) / (high - low), 0, 1);
+}
+
+// Single entry point for focus samples from any EEG-like source. A sample
+// either carries band powers or a precomputed `focus` value in [0, 1].
+function ingestFocusSample(msg) {
+  let level;
+  if (typeof msg.focus === 'number') {
+    level = THREE.MathUtils.clamp(msg.focus, 0, 1);
+  } else {
+    const bands = parseBandPowers(msg);
+    if (!bands) return;
+    const rawIndex = computeFocusIndex(bands);
+    if (rawIndex === null) return;
+    eeg.rawIndex = rawIndex;
+    if (calibration.active) recordCalibrationSample(rawIndex);
+    eeg.index = eeg.index === null
+      ? rawIndex
+      : eeg.index + (rawIndex - eeg.index) * eeg.smoothing;
+    level = normalizeFocusIndex(eeg.index);
+  }
+  eeg.level = level;
+  setFocusLevel(level);
+  updateEEGStatus();
+}
+
+function updateEEGStatus() {
+  const statusEl = document.getElementById('eegStatus');
+  const buttonEl = document.getElementById('eegConnect');
+  if (buttonEl) buttonEl.textContent = eeg.wantConnection ? 'Disconnect' : 'Connect';
+  if (!statusEl) return;
+  if (eeg.connected) {
+    const index = eeg.index !== null ? ` · index ${eeg.index.toFixed(2)}` : '';
+    statusEl.textContent = `live${index}`;
+  } else {
+    statusEl.textContent = eeg.wantConnection ? 'connecting…' : 'off';
+  }
+}
+
+function connectEEG(url = eeg.url) {
+  disconnectEEG();
+  eeg.url = url;
+  eeg.wantConnection = true;
+  eeg.index = null;
+  eeg.rawIndex = null;
+
+  let socket;
+  try {
+    socket = new WebSocket(url);
+  } catch (err) {
+    console.error("Invalid EEG stream URL:", err);
+    eeg.wantConnection = false;
+    updateEEGStatus();
+    return;
+  }
+  eeg.socket = socket;
+
+  socket.addEventListener('open', () => {
+    eeg.connected = true;
+    eeg.retryDelay = 1000;
+    console.log("EEG stream connected:", url);
+    updateEEGStatus();
+  });
+  socket.addEventListener('message', (event) => {
+    let msg;
+    try {
+      msg = JSON.parse(event.data);
+    } catch (err) {
+      return; // Ignore non-JSON frames
+    }
+    if (msg && typeof msg === 'object') ingestFocusSample(msg);
+  });
+  socket.addEventListener('close', () => {
+    if (eeg.socket !== socket) return;
+    eeg.socket = null;
+    eeg.connected = false;
+    if (eeg.wantConnection) {
+      // Keep retrying with backoff so the stream can be started after the game
+      eeg.retryTimer = setTimeout(() => connectEEG(url), eeg.retryDelay);
+      eeg.retryDelay = Math.min(eeg.retryDelay * 2, 10000);
+    }
+    updateEEGStatus();
+  });
+  updateEEGStatus();
+}
+
+function disconnectEEG() {
+  eeg.wantConnection = false;
+  clearTimeout(eeg.retryTimer);
+  if (eeg.socket) {
+    const socket = eeg.socket;
+    eeg.socket = null;
+    socket.close();
+  }
+  eeg.connected = false;
+  updateEEGStatus();
+}
+
+const eegUrlInput = document.getElementById('eegUrl');
+const eegConnectButton = document.getElementById('eegConnect');
+if (eegConnectButton) {
+  eegConnectButton.addEventListener('click', () => {
+    if (eeg.wantConnection) {
+      disconnectEEG();
+    } else {
+      connectEEG(eegUrlInput && eegUrlInput.value.trim() ? eegUrlInput.value.trim() : EEG_DEFAULT_URL);
+    }
+  });
+}
+
+// ?eeg=1 connects to the default stream, ?eeg=ws://host:port to a custom one
+const eegParam = new URLSearchParams(window.location.search).get('eeg');
+if (eegParam) {
+  const url = eegParam.startsWith('ws') ? eegParam : EEG_DEFAULT_URL;
+  if (eegUrlInput) eegUrlInput.value = url;
+  connectEEG(url);
+}
+
+// ----- EEG Session Replay -----
+// Plays back a recorded session (CSV or JSON with timestamps and either band
+// powers or a precomputed focus value) through ingestFocusSample(), exactly
+// as if it were arriving from a live headset.
+const EEG_BAND_NAMES = ['delta', 'theta', 'alpha', 'beta', 'gamma'];
+const replay = {
+  samples: [], // [{ t: ms from session start, sample }]
+  duration: 0,
+  position: 0, // ms
+  index: 0, // next sample to emit
+  speed: 1,
+  playing: false,
+  seeking: false
+};
+
+function parseSessionTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const num = Number(value);
+  if (Number.isFinite(num)) return num;
+  const date = Date.parse(String(value).replace(' ', 'T'));
+  return Number.isNaN(date) ? null : date;
+}
+
+// Header columns like "alpha", "Alpha_TP9" or "beta AF7" become band values;
+// "focus" is a precomputed level; the first time-like column is the timestamp
+// (time_s and time_ms also give its unit).
+function parseSessionCSV(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length < 2) return [];
+  const header = lines[0].split(',').map((h) => h.trim().replace(/^"|"$/g, '').toLowerCase());
+  const timeCol = header.findIndex((h) => ['timestamp', 'time', 't', 'time_ms', 'time_s'].includes(h));
+  const timeUnit = { time_ms: 'ms', time_s: 's' }[header[timeCol]];
+  const focusCol = header.indexOf('focus');
+  const bandCols = [];
+  header.forEach((h, col) => {
+    const match = h.match(/^(delta|theta|alpha|beta|gamma)(?:[_ ].+)?$/);
+    if (match) bandCols.push({ band: match[1], col });
+  });
+
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    const cells = lines[i].split(',').map((c) => c.trim().replace(/^"|"$/g, ''));
+    const row = { timestamp: timeCol >= 0 ? cells[timeCol] : undefined };
+    if (timeUnit) row.timeUnit = timeUnit;
+    if (focusCol >= 0 && cells[focusCol] !== '' && cells[focusCol] !== undefined) {
+      row.focus = Number(cells[focusCol]);
+    }
+    if (bandCols.length > 0) {
+      row.bands = {};
+      for (const { band, col } of bandCols) {
+        const value = cells[col] === '' || cells[col] === undefined ? NaN : Number(cells[col]);
+        if (!Number.isFinite(value)) continue;
+        (row.bands[band] = row.bands[band] || []).push(value);
+      }
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// JSON array, { samples: [...] } or newline-delimited JSON
+function parseSessionJSON(text) {
+  try {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.samples)) return data.samples;
+    return [data];
+  } catch (err) {
+    return text.split(/\r?\n/).filter((line) => line.trim() !== '').map((line) => JSON.parse(line));
+  }
+}
+
+function hasFocusData(row) {
+  if (!row || typeof row !== 'object') return false;
+  if (typeof row.focus === 'number' && Number.isFinite(row.focus)) return true;
+  const bands = row.bands || row;
+  return ['theta', 'alpha', 'beta'].every((band) => bands[band] !== undefined && bands[band] !== null);
+}
+
+// A row's timestamp and its unit: 's' or 'ms' when a time_s / time_ms field
+// or a date string says so, null when only the numbers can tell
+function sessionTime(row) {
+  if (row.time_ms !== undefined) return { value: parseSessionTimestamp(row.time_ms), unit: 'ms' };
+  if (row.time_s !== undefined) return { value: parseSessionTimestamp(row.time_s), unit: 's' };
+  const raw = row.timestamp ?? row.time ?? row.t;
+  const value = parseSessionTimestamp(raw);
+  const date = value !== null && !Number.isFinite(Number(raw));
+  return { value, unit: row.timeUnit || (date ? 'ms' : null) };
+}
+
+function buildReplayTimeline(rows) {
+  const usable = rows.filter(hasFocusData);
+  if (usable.length === 0) return [];
+
+  // Linear band powers cannot be negative, so any negative value means the
+  // recording holds Muse-style log powers (Bels)
+  const bels = usable.some((row) => {
+    const bands = row.bands || row;
+    return EEG_BAND_NAMES.some((band) => [].concat(bands[band] ?? []).some((v) => v < 0));
+  });
+
+  const stamps = usable.map(sessionTime);
+  let times;
+  if (stamps.some((stamp) => stamp.value === null)) {
+    times = usable.map((_, i) => i * 100); // Assume 10 Hz when untimed
+  } else {
+    times = stamps.map(({ value, unit }) => (unit === 's' ? value * 1000 : value));
+    if (stamps.every((stamp) => stamp.unit === null)) {
+      // Plain numbers: sub-unit median steps mean the timestamps are in seconds
+      const steps = times.slice(1).map((t, i) => t - times[i]).sort((a, b) => a - b);
+      const median = steps.length ? steps[Math.floor(steps.length / 2)] : 1;
+      if (median > 0 && median < 1) times = times.map((t) => t * 1000);
+    }
+  }
+
+  // Not Math.min(...times): long recordings exceed the argument limit
+  const t0 = times.reduce((min, t) => Math.min(min, t), Infinity);
+  return usable
+    .map((row, i) => ({
+      t: times[i] - t0,
+      sample: bels && !row.units ? { ...row, units: 'bels' } : row
+    }))
+    .sort((a, b) => a.t - b.t);
+}
+
+function loadReplaySession(text, fileName) {
+  const trimmed = text.trim();
+  const rows = /\.csv$/i.test(fileName) || !/^[[{]/.test(trimmed)
+    ? parseSessionCSV(trimmed)
+    : parseSessionJSON(trimmed);
+  const samples = buildReplayTimeline(rows);
+  if (samples.length === 0) {
+    throw new Error('No band powers or focus values found');
+  }
+
+  // A replay replaces the live headset as the focus source
+  disconnectEEG();
+  replay.samples = samples;
+  replay.duration = samples[samples.length - 1].t;
+  seekReplay(0);
+  replay.playing = true;
+
+  const controls = document.getElementById('replayControls');
+  if (controls) controls.hidden = false;
+  updateReplayControls();
+  console.log(`Loaded EEG session: ${samples.length} samples, ${(replay.duration / 1000).toFixed(1)}s`);
+}
+
+function seekReplay(ms) {
+  replay.position = THREE.MathUtils.clamp(ms, 0, replay.duration);
+  // Restart the moving average so the old position doesn't bleed through
+  eeg.index = null;
+  let lo = 0;
+  let hi = replay.samples.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (replay.samples[mid].t <= replay.position) lo = mid + 1;
+    else hi = mid;
+  }
+  replay.index = lo;
+  if (lo > 0) ingestFocusSample(replay.samples[lo - 1].sample);
+}
+
+function advanceReplay(delta) {
+  if (!replay.playing || replay.samples.length === 0) return;
+  replay.position += delta * 1000 * replay.speed;
+  while (replay.index < replay.samples.length && replay.samples[replay.index].t <= replay.position) {
+    ingestFocusSample(replay.samples[replay.index].sample);
+    replay.index++;
+  }
+  if (replay.position >= replay.duration) {
+    replay.position = replay.duration;
+    replay.playing = false;
+  }
+  updateReplayControls();
+}
+
+function formatReplayTime(ms) {
+  const total = Math.floor(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function updateReplayControls() {
+  const playEl = document.getElementById('replayPlay');
+  const seekEl = document.getElementById('replaySeek');
+  const timeEl = document.getElementById('replayTime');
+  if (playEl) playEl.textContent = replay.playing ? 'Pause' : 'Play';
+  if (seekEl && !replay.seeking && replay.duration > 0) {
+    seekEl.value = Math.round((replay.position / replay.duration) * 1000);
+  }
+  if (timeEl) {
+    timeEl.textContent = `${formatReplayTime(replay.position)} / ${formatReplayTime(replay.duration)}`;
+  }
+}
+
+const sessionInput = document.getElementById('sessionInput');
+if (sessionInput) {
+  sessionInput.addEventListener('change', (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        loadReplaySession(text, file.name);
+      } catch (err) {
+        console.error("Error loading EEG session:", err);
+        alert(`Could not load EEG session: ${err.message}`);
+      }
+    });
+  });
+}
+
+const replayPlayButton = document.getElementById('replayPlay');
+if (replayPlayButton) {
+  replayPlayButton.addEventListener('click', () => {
+    if (replay.samples.length === 0) return;
+    if (!replay.playing && replay.position >= replay.duration) seekReplay(0);
+    replay.playing = !replay.playing;
+    updateReplayControls();
+  });
+}
+
+const replaySeekInput = document.getElementById('replaySeek');
+if (replaySeekInput) {
+  replaySeekInput.addEventListener('pointerdown', () => { replay.seeking = true; });
+  replaySeekInput.addEventListener('pointerup', () => { replay.seeking = false; });
+  replaySeekInput.addEventListener('input', () => {
+    seekReplay((replaySeekInput.value / 1000) * replay.duration);
+    updateReplayControls();
+  });
+}
+
+const replaySpeedSelect = document.getElementById('replaySpeed');
+if (replaySpeedSelect) {
+  replaySpeedSelect.addEventListener('change', () => {
+    replay.speed = Number(replaySpeedSelect.value) || 1;
+  });
+}
+
+// ----- Focus Calibration -----
+// Records the focus index while the player relaxes with eyes closed and then
+// concentrates on the crosshair, and turns the two distributions into a
+// per-user normalization range and mode-switch thresholds. Profiles are kept
+// in localStorage by name.
+const PROFILES_KEY = 'shooterFocus.profiles';
+const ACTIVE_PROFILE_KEY = 'shooterFocus.activeProfile';
+const CALIBRATION_MIN_SAMPLES = 10;
+const calibrationPhases = [
+  { id: 'prepare', text: 'Get ready. Sit comfortably and relax your shoulders.', duration: 5 },
+  { id: 'relaxed', text: 'Close your eyes and relax until you hear the tone.', duration: 30, record: true },
+  { id: 'switch', text: 'Open your eyes. Next: concentrate on the crosshair.', duration: 5 },
+  { id: 'focused', text: 'Concentrate on the crosshair. Keep your eyes on it.', duration: 30, record: true }
+];
+
+const calibration = {
+  active: false,
+  phaseIndex: 0,
+  elapsed: 0,
+  samples: { relaxed: [], focused: [] }
+};
+
+let activeProfile = { name: 'default', calibrated: false };
+
+function loadProfiles() {
+  return readStoredObject(PROFILES_KEY);
+}
+
+function saveProfile(profile) {
+  const profiles = loadProfiles();
+  profiles[profile.name] = profile;
+  writeStorage(PROFILES_KEY, JSON.stringify(profiles));
+  writeStorage(ACTIVE_PROFILE_KEY, profile.name);
+}
+
+// A stored profile only counts as calibrated when every number it needs is
+// there; a damaged entry falls back to the defaults instead of breaking startup
+function hasCalibration(profile) {
+  return Boolean(profile && profile.calibrated && profile.range && profile.thresholds) &&
+    [profile.range.low, profile.range.high, profile.thresholds.enter, profile.thresholds.exit].every(Number.isFinite) &&
+    profile.range.high > profile.range.low;
+}
+
+function selectProfile(name) {
+  const profiles = loadProfiles();
+  activeProfile = hasCalibration(profiles[name]) ? profiles[name] : { name, calibrated: false };
+  writeStorage(ACTIVE_PROFILE_KEY, name);
+  applyProfile(activeProfile);
+}
+
+function applyProfile(profile) {
+  if (hasCalibration(profile)) {
+    eeg.range.low = profile.range.low;
+    eeg.range.high = profile.range.high;
+    focusThresholds.enter = normalizeFocusIndex(profile.thresholds.enter);
+    focusThresholds.exit = normalizeFocusIndex(profile.thresholds.exit);
+  } else {
+    eeg.range.low = 0.2;
+    eeg.range.high = 1.0;
+    focusThresholds.enter = 0.5;
+    focusThresholds.exit = 0.5;
+  }
+  updateProfileStatus();
+}
+
+function updateProfileStatus() {
+  const statusEl = document.getElementById('profileStatus');
+  if (!statusEl) return;
+  statusEl.textContent = activeProfile.calibrated
+    ? `calibrated ${new Date(activeProfile.calibratedAt).toLocaleDateString()}`
+    : 'not calibrated';
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+  return {
+    n: values.length,
+    median: sorted[Math.floor(sorted.length / 2)],
+    sd: Math.sqrt(variance)
+  };
+}
+
+// Relaxed and focused medians become the 0 and 1 ends of the focus level.
+// The switch point sits where both distributions are equally many standard
+// deviations away, with a hysteresis band of half the tighter spread.
+function computeCalibration(relaxedValues, focusedValues) {
+  const relaxed = summarize(relaxedValues);
+  const focused = summarize(focusedValues);
+  if (focused.median <= relaxed.median) {
+    throw new Error('Focus index was not higher while concentrating; please try again');
+  }
+  const spread = relaxed.sd + focused.sd;
+  const threshold = spread > 0
+    ? (relaxed.median * focused.sd + focused.median * relaxed.sd) / spread
+    : (relaxed.median + focused.median) / 2;
+  const hysteresis = Math.min(Math.min(relaxed.sd, focused.sd) / 2, (focused.median - relaxed.median) / 4);
+  return {
+    relaxed,
+    focused,
+    range: { low: relaxed.median, high: focused.median },
+    thresholds: { enter: threshold + hysteresis, exit: threshold - hysteresis }
+  };
+}
+
+function showCalibrationOverlay(visible) {
+  const overlay = document.getElementById('calibration');
+  if (overlay) overlay.hidden = !visible;
+}
+
+function setCalibrationText(text, progress) {
+  const textEl = document.getElementById('calibrationText');
+  const barEl = document.getElementById('calibrationProgress');
+  if (textEl) textEl.textContent = text;
+  if (barEl) barEl.style.width = `${Math.round(progress * 100)}%`;
+}
+
+// Short tone so the eyes-closed phase can end without looking at the screen
+function calibrationTone() {
+  try {
+    const ctx = new AudioContext();
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = 660;
+    gain.gain.setValueAtTime(0.2, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.6);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start();
+    osc.stop(ctx.currentTime + 0.6);
+    osc.onended = () => ctx.close();
+  } catch (err) {
+    // Audio is only a convenience here
+  }
+}
+
+function startCalibration() {
+  if (!eeg.connected && !replay.playing) {
+    alert('Connect an EEG stream or start a session replay before calibrating.');
+    return;
+  }
+  if (!calibrationSourceHasBands()) {
+    alert('Calibration needs band powers (alpha, theta, beta); this source only sends precomputed focus levels.');
+    return;
+  }
+  const nameInput = document.getElementById('profileName');
+  const name = nameInput && nameInput.value.trim() ? nameInput.value.trim() : 'default';
+  if (name !== activeProfile.name) selectProfile(name);
+
+  releasePointer();
+  calibration.active = true;
+  calibration.phaseIndex = 0;
+  calibration.elapsed = 0;
+  calibration.samples = { relaxed: [], focused: [] };
+  showCalibrationOverlay(true);
+  setCalibrationText(calibrationPhases[0].text, 0);
+}
+
+function cancelCalibration() {
+  calibration.active = false;
+  showCalibrationOverlay(false);
+}
+
+// Calibration works on the raw beta / (alpha + theta) index, so a source that
+// only sends precomputed focus levels has nothing to calibrate. A live stream
+// has to have sent band powers already.
+function calibrationSourceHasBands() {
+  if (replay.playing) {
+    return replay.samples.some(({ sample }) => {
+      if (typeof sample.focus === 'number') return false;
+      const bands = parseBandPowers(sample);
+      return !!bands && computeFocusIndex(bands) !== null;
+    });
+  }
+  return eeg.rawIndex !== null;
+}
+
+function recordCalibrationSample(index) {
+  const phase = calibrationPhases[calibration.phaseIndex];
+  if (phase && phase.record) calibration.samples[phase.id].push(index);
+}
+
+function finishCalibration() {
+  calibration.active = false;
+  showCalibrationOverlay(false);
+
+  const { relaxed, focused } = calibration.samples;
+  try {
+    if (relaxed.length < CALIBRATION_MIN_SAMPLES || focused.length < CALIBRATION_MIN_SAMPLES) {
+      throw new Error('Not enough EEG samples were received; check the stream and try again');
+    }
+    activeProfile = {
+      name: activeProfile.name,
+      calibrated: true,
+      calibratedAt: new Date().toISOString(),
+      ...computeCalibration(relaxed, focused)
+    };
+    saveProfile(activeProfile);
+    applyProfile(activeProfile);
+    console.log("Calibration saved:", activeProfile);
+  } catch (err) {
+    alert(`Calibration failed: ${err.message}`);
+  }
+}
+
+function advanceCalibration(delta) {
+  if (!calibration.active) return;
+  calibration.elapsed += delta;
+  const phase = calibrationPhases[calibration.phaseIndex];
+  if (calibration.elapsed >= phase.duration) {
+    if (phase.id === 'relaxed') calibrationTone();
+    calibration.phaseIndex++;
+    calibration.elapsed = 0;
+    if (calibration.phaseIndex >= calibrationPhases.length) {
+      finishCalibration();
+      return;
+    }
+  }
+  const current = calibrationPhases[calibration.phaseIndex];
+  const remaining = Math.ceil(current.duration - calibration.elapsed);
+  setCalibrationText(`${current.text} (${remaining}s)`, calibration.elapsed / current.duration);
+}
+
+const calibrateButton = document.getElementById('calibrateButton');
+if (calibrateButton) calibrateButton.addEventListener('click', startCalibration);
+
+const calibrationCancelButton = document.getElementById('calibrationCancel');
+if (calibrationCancelButton) calibrationCancelButton.addEventListener('click', cancelCalibration);
+
+const profileNameInput = document.getElementById('profileName');
+if (profileNameInput) {
+  profileNameInput.addEventListener('change', () => {
+    selectProfile(profileNameInput.value.trim() || 'default');
+  });
+}
+
+// Restore the last used profile
+{
+  const name = readStorage(ACTIVE_PROFILE_KEY) || 'default';
+  if (profileNameInput) profileNameInput.value = name;
+  selectProfile(name);
+}
+
+// ----- Session Logging -----
+// Timestamped record of shots, hits, focus-mode changes and periodic player
+// samples, exported as CSV and JSON at the end of a session for research use.
+const SESSION_SAMPLE_INTERVAL = 0.25; // seconds between position/FOV samples
+const SESSION_CSV_COLUMNS = [
+  't_ms', 'type', 'x', 'y', 'z', 'dir_x', 'dir_y', 'dir_z',
+  'distance', 'points', 'score', 'mode', 'focus_level', 'fov', 'yaw', 'pitch'
+];
+
+const sessionLog = {
+  id: null,
+  startedAt: null,
+  startTime: 0,
+  sampleTimer: 0,
+  events: []
+};
+
+function createSessionId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const suffix = Math.random().toString(36).slice(2, 6);
+  return `session-${stamp}-${suffix}`;
+}
+
+function startSession() {
+  sessionLog.id = createSessionId();
+  sessionLog.startedAt = new Date().toISOString();
+  sessionLog.startTime = performance.now();
+  sessionLog.sampleTimer = 0;
+  sessionLog.events = [];
+  const idEl = document.getElementById('sessionId');
+  if (idEl) idEl.textContent = sessionLog.id;
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function logEvent(type, data = {}) {
+  if (!sessionLog.id) return;
+  sessionLog.events.push({
+    t_ms: Math.round(performance.now() - sessionLog.startTime),
+    type,
+    ...data
+  });
+}
+
+function logVector(prefix, v) {
+  return prefix === ''
+    ? { x: round3(v.x), y: round3(v.y), z: round3(v.z) }
+    : { [`${prefix}_x`]: round3(v.x), [`${prefix}_y`]: round3(v.y), [`${prefix}_z`]: round3(v.z) };
+}
+
+function sampleSession(delta) {
+  if (!sessionLog.id) return;
+  sessionLog.sampleTimer += delta;
+  if (sessionLog.sampleTimer < SESSION_SAMPLE_INTERVAL) return;
+  sessionLog.sampleTimer %= SESSION_SAMPLE_INTERVAL;
+  logEvent('sample', {
+    ...logVector('', player.mesh.position),
+    fov: round3(camera.fov),
+    focus_level: round3(focusLevel),
+    yaw: round3(player.yaw),
+    pitch: round3(player.pitch)
+  });
+}
+
+function focusSource() {
+  return eeg.connected ? `eeg ${eeg.url}` : replay.samples.length ? 'replay' : 'keyboard';
+}
+
+function sessionMetadata() {
+  return {
+    session_id: sessionLog.id,
+    started_at: sessionLog.startedAt,
+    ended_at: new Date().toISOString(),
+    profile: activeProfile.name,
+    calibrated: activeProfile.calibrated,
+    seed: worldSeed,
+    level: levelName,
+    focus_rule: activeFocusRule,
+    muzzle_velocity: paintballSettings.muzzleVelocity,
+    focus_source: focusSource(),
+    final_score: score,
+    paint_coverage: round3(cityPaintCoverage()),
+    user_agent: navigator.userAgent
+  };
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function sessionToCSV(metadata) {
+  const header = Object.entries(metadata).map(([key, value]) => `# ${key}: ${value}`);
+  const rows = sessionLog.events.map((event) =>
+    SESSION_CSV_COLUMNS.map((col) => csvCell(event[col])).join(',')
+  );
+  return [...header, SESSION_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportSession() {
+  const metadata = sessionMetadata();
+  downloadFile(`${sessionLog.id}.csv`, sessionToCSV(metadata), 'text/csv');
+  downloadFile(
+    `${sessionLog.id}.json`,
+    JSON.stringify({ metadata, events: sessionLog.events, paint: paintCoverageStats() }, null, 2),
+    'application/json'
+  );
+}
+
+const endSessionButton = document.getElementById('endSession');
+if (endSessionButton) {
+  endSessionButton.addEventListener('click', () => {
+    exportSession();
+    startSession();
+    logEvent('focus_mode', { mode: focusMode, focus_level: round3(focusLevel) });
+  });
+}
+
+startSession();
+
+const focusRuleSelect = document.getElementById('focusRule');
+if (focusRuleSelect) {
+  for (const [name, rule] of Object.entries(focusRules)) {
+    focusRuleSelect.add(new Option(rule.label, name, false, name === activeFocusRule));
+  }
+  focusRuleSelect.addEventListener('change', () => {
+    setFocusRule(focusRuleSelect.value);
+    logEvent('focus_rule', { mode: activeFocusRule });
+  });
+}
+
+// Every splat samples one shape from a pre-generated atlas of white blobs and
+// takes its paint color from vertex colors, so all splats share a single
+// texture and material and far more of them can stay on the walls.
+const SPLATTER_ATLAS_GRID = 4; // shapes per atlas row and column
+const SPLATTER_CELL_PX = 128;
+
+function createSplatterAtlas() {
+  const canvas = document.createElement('canvas');
+  canvas.width = SPLATTER_ATLAS_GRID * SPLATTER_CELL_PX;
+  canvas.height = SPLATTER_ATLAS_GRID * SPLATTER_CELL_PX;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  // Fixed shapes, independent of the world seed
+  const random = createRandom(hashSeed('splatter-atlas'));
+  const unit = SPLATTER_CELL_PX / 64; // shapes are laid out on a 64px cell
+  for (let cell = 0; cell < SPLATTER_ATLAS_GRID * SPLATTER_ATLAS_GRID; cell++) {
+    const left = (cell % SPLATTER_ATLAS_GRID) * SPLATTER_CELL_PX;
+    const top = Math.floor(cell / SPLATTER_ATLAS_GRID) * SPLATTER_CELL_PX;
+    const cx = left + SPLATTER_CELL_PX / 2;
+    const cy = top + SPLATTER_CELL_PX / 2;
+    ctx.save();
+    // Keep droplets (and mipmap bleed) inside the cell
+    ctx.beginPath();
+    ctx.rect(left + 2, top + 2, SPLATTER_CELL_PX - 4, SPLATTER_CELL_PX - 4);
+    ctx.clip();
+    // Random blob
+    ctx.beginPath();
+    ctx.arc(cx, cy, (15 + random() * 10) * unit, 0, Math.PI * 2);
+    ctx.fill();
+    for (let i = 0; i < 8; i++) {
+      const r = (2 + random() * 5) * unit;
+      const a = random() * Math.PI * 2;
+      const d = (15 + random() * 13) * unit;
+      ctx.beginPath();
+      ctx.arc(cx + Math.cos(a) * d, cy + Math.sin(a) * d, r, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+  return new THREE.CanvasTexture(canvas);
+}
+
+const splatterMaterial = new THREE.MeshBasicMaterial({
+  map: createSplatterAtlas(),
+  vertexColors: true,
+  transparent: true,
+  opacity: 0.9,
+  depthWrite: false,
+  polygonOffset: true,
+  polygonOffsetFactor: -4,
+  side: THREE.DoubleSide
+});
+
+// Improved Splatter function that takes the hit object
+// Decals are projected onto just the world triangles around the hit, taken
+// from the world octree, rather than onto the whole mesh that was hit. That
+// keeps splats cheap on dense imported models and lets them wrap over corners
+// onto neighbouring surfaces.
+function decalSurface(center, radius) {
+  const triangles = [];
+  worldOctree.getSphereTriangles(new THREE.Sphere(center, radius), triangles);
+  const positions = new Float32Array(triangles.length * 9);
+  triangles.forEach((triangle, i) => {
+    triangle.a.toArray(positions, i * 9);
+    triangle.b.toArray(positions, i * 9 + 3);
+    triangle.c.toArray(positions, i * 9 + 6);
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  // Already in world space, so the mesh keeps an identity matrix
+  return new THREE.Mesh(geometry);
+}
+
+function addDecal(hit, color) {
+    playSound('splat', hit.point);
+    const size = 1.0 + Math.random() * 1.5;
+    const position = hit.point.clone();
+    const orientation = new THREE.Euler();
+    
+    // Calculate orientation
+    const mouseHelper = new THREE.Object3D();
+    mouseHelper.position.copy(position);
+    mouseHelper.lookAt(position.clone().add(hit.face.normal));
+    orientation.copy(mouseHelper.rotation);
+    orientation.z = Math.random() * 2 * Math.PI;
+
+    const scale = new THREE.Vector3(size, size, size); // box size for projection?
+    // DecalGeometry( mesh, position, orientation, sizeVector )
+    
+    const surface = decalSurface(position, size * 0.87); // half the box diagonal
+    const decalGeo = new DecalGeometry(surface, position, orientation, scale);
+    surface.geometry.dispose();
+
+    // Point the UVs at one atlas shape and tint it with the paint color
+    const cell = Math.floor(Math.random() * SPLATTER_ATLAS_GRID * SPLATTER_ATLAS_GRID);
+    const u0 = (cell % SPLATTER_ATLAS_GRID) / SPLATTER_ATLAS_GRID;
+    const v0 = Math.floor(cell / SPLATTER_ATLAS_GRID) / SPLATTER_ATLAS_GRID;
+    const uv = decalGeo.getAttribute('uv');
+    const colors = new Float32Array(uv.count * 3);
+    for (let i = 0; i < uv.count; i++) {
+        uv.setXY(i, u0 + uv.getX(i) / SPLATTER_ATLAS_GRID, v0 + uv.getY(i) / SPLATTER_ATLAS_GRID);
+        color.toArray(colors, i * 3);
+    }
+    decalGeo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+    const m = new THREE.Mesh(decalGeo, splatterMaterial);
+    scene.add(m);
+    splatters.push(m);
+    recordPaint(hit, size, color);
+
+    trimSplatters();
+}
+
+// Limit splatters to the setting, oldest first (coverage keeps counting them)
+function trimSplatters() {
+  while (splatters.length > settings.splatterLimit) {
+    const old = splatters.shift();
+    scene.remove(old);
+    old.geometry.dispose();
+  }
+}
+
+function clearPaint() {
+  splatters.forEach((splat) => {
+    scene.remove(splat);
+    splat.geometry.dispose();
+  });
+  splatters.length = 0;
+  resetPaintCoverage();
+}
+
+// ----- Paint Coverage -----
+// Every building face carries a coarse grid recording which paint hue last
+// covered each cell, for coverage stats and the "paint the city" mode. Grids
+// are allocated the first time a face is painted.
+const PAINT_CELL_SIZE = 0.5; // m
+const PAINT_HUES = 12; // paint colors are grouped into this many hue buckets
+const BUILDING_FACES = ['+x', '-x', '+z', '-z', 'top'];
+const paintCoverage = new Map(); // building -> { size, faces: { [face]: Uint8Array } }
+const paintedCells = new Array(PAINT_HUES + 1).fill(0); // per hue bucket (1-based)
+let paintCityMode = false;
+
+function resetPaintCoverage() {
+  paintCoverage.clear();
+  paintedCells.fill(0);
+  updatePaintStats();
+}
+
+function buildingFace(normal) {
+  if (normal.y > 0.7) return 'top';
+  if (normal.y < -0.7) return null;
+  if (Math.abs(normal.x) > Math.abs(normal.z)) return normal.x > 0 ? '+x' : '-x';
+  return normal.z > 0 ? '+z' : '-z';
+}
+
+// Face grid size in cells and a point's position on the face in metres
+function faceGrid(b, face) {
+  const across = face === '+x' || face === '-x' ? b.d : b.w;
+  const up = face === 'top' ? b.d : b.h;
+  return { cols: Math.ceil(across / PAINT_CELL_SIZE), rows: Math.ceil(up / PAINT_CELL_SIZE) };
+}
+
+function faceCoords(b, face, point) {
+  const u = face === '+x' || face === '-x' ? point.z - (b.z - b.d / 2) : point.x - (b.x - b.w / 2);
+  const v = face === 'top' ? point.z - (b.z - b.d / 2) : point.y;
+  return [u, v];
+}
+
+function paintHue(color) {
+  const { h } = color.getHSL({});
+  return (Math.floor(h * PAINT_HUES) % PAINT_HUES) + 1;
+}
+
+function paintHueColor(hue) {
+  return new THREE.Color().setHSL((hue - 0.5) / PAINT_HUES, 0.8, 0.5);
+}
+
+function recordPaint(hit, size, color) {
+  const building = buildings.find((b) => b.mesh === hit.object);
+  const face = building && buildingFace(hit.face.normal);
+  if (!face) return;
+
+  // Resized buildings (in the editor) start over
+  const sizeKey = `${building.w},${building.d},${building.h}`;
+  let entry = paintCoverage.get(building);
+  if (!entry || entry.size !== sizeKey) {
+    entry = { size: sizeKey, faces: {} };
+    paintCoverage.set(building, entry);
+  }
+  const { cols, rows } = faceGrid(building, face);
+  const cells = entry.faces[face] || (entry.faces[face] = new Uint8Array(cols * rows));
+
+  // The blob covers roughly the inner 60% of the decal box
+  const radius = size * 0.3;
+  const [u, v] = faceCoords(building, face, hit.point);
+  const hue = paintHue(color);
+  const minCol = Math.max(0, Math.floor((u - radius) / PAINT_CELL_SIZE));
+  const maxCol = Math.min(cols - 1, Math.floor((u + radius) / PAINT_CELL_SIZE));
+  const minRow = Math.max(0, Math.floor((v - radius) / PAINT_CELL_SIZE));
+  const maxRow = Math.min(rows - 1, Math.floor((v + radius) / PAINT_CELL_SIZE));
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const du = (col + 0.5) * PAINT_CELL_SIZE - u;
+      const dv = (row + 0.5) * PAINT_CELL_SIZE - v;
+      if (du * du + dv * dv > radius * radius) continue;
+      const index = row * cols + col;
+      if (cells[index] === hue) continue;
+      if (cells[index]) paintedCells[cells[index]]--;
+      cells[index] = hue;
+      paintedCells[hue]++;
+    }
+  }
+  updatePaintStats();
+}
+
+function totalPaintableCells() {
+  let total = 0;
+  for (const b of buildings) {
+    for (const face of BUILDING_FACES) {
+      const { cols, rows } = faceGrid(b, face);
+      total += cols * rows;
+    }
+  }
+  return total;
+}
+
+// Cached, since every splat reports against it; recounted when the world changes
+let paintableCells = totalPaintableCells();
+
+function recountPaintableCells() {
+  paintableCells = totalPaintableCells();
+  updatePaintStats();
+}
+
+// Fraction of all building faces that carries paint
+function cityPaintCoverage() {
+  return paintableCells ? paintedCells.reduce((sum, n) => sum + n, 0) / paintableCells : 0;
+}
+
+// City-wide coverage plus a breakdown per paint hue and per painted face
+function paintCoverageStats() {
+  const total = paintableCells;
+  const colors = [];
+  paintedCells.forEach((n, hue) => {
+    if (n > 0) colors.push({ color: `#${paintHueColor(hue).getHexString()}`, coverage: round3(n / total) });
+  });
+  const faces = [];
+  buildings.forEach((b, index) => {
+    const entry = paintCoverage.get(b);
+    if (!entry) return;
+    for (const [face, cells] of Object.entries(entry.faces)) {
+      const counts = {};
+      let facePainted = 0;
+      for (const hue of cells) {
+        if (!hue) continue;
+        facePainted++;
+        counts[hue] = (counts[hue] || 0) + 1;
+      }
+      faces.push({
+        building: index,
+        face,
+        coverage: round3(facePainted / cells.length),
+        colors: Object.entries(counts).map(([hue, n]) => ({
+          color: `#${paintHueColor(Number(hue)).getHexString()}`,
+          coverage: round3(n / cells.length)
+        }))
+      });
+    }
+  });
+  return { coverage: round3(cityPaintCoverage()), colors, faces };
+}
+
+const paintStatsEl = document.getElementById('paintStats');
+const paintColorsEl = document.getElementById('paintColors');
+
+// One swatch per hue bucket, in hue order, shown once that hue is on the walls
+const paintSwatches = [];
+if (paintColorsEl) {
+  for (let hue = 1; hue <= PAINT_HUES; hue++) {
+    const swatch = document.createElement('span');
+    swatch.className = 'paint-swatch';
+    swatch.style.setProperty('--swatch', `#${paintHueColor(hue).getHexString()}`);
+    swatch.hidden = true;
+    paintColorsEl.appendChild(swatch);
+    paintSwatches[hue] = swatch;
+  }
+}
+
+function updatePaintStats() {
+  const percent = (n) => (paintableCells ? (100 * n) / paintableCells : 0).toFixed(1);
+  if (paintStatsEl) paintStatsEl.textContent = `${(cityPaintCoverage() * 100).toFixed(1)}%`;
+  paintSwatches.forEach((swatch, hue) => {
+    const n = paintedCells[hue];
+    swatch.hidden = n === 0;
+    const text = `${percent(n)}%`;
+    if (n > 0 && swatch.textContent !== text) swatch.textContent = text;
+  });
+  if (paintCityMode) updateScoreDisplay();
+}
+
+// "Paint the city": no targets, the goal is covering as much of the city as possible
+function setPaintCityMode(enabled) {
+  paintCityMode = enabled;
+  clearPaint();
+  respawnTargets();
+  if (!enabled) respawnBots();
+  updateScoreDisplay();
+  if (paintModeButton) paintModeButton.textContent = enabled ? 'Back to targets' : 'Paint the city';
+  logEvent('paint_mode', { mode: enabled ? 'on' : 'off' });
+}
+
+const paintModeButton = document.getElementById('paintMode');
+if (paintModeButton) {
+  paintModeButton.addEventListener('click', () => setPaintCityMode(!paintCityMode));
+}
+
+// ----- Rounds and Leaderboard -----
+// A round is a countdown, then play until the mode's goal is met, then a
+// summary. Outside a round the game is free play as before. The best runs
+// per mode are kept in localStorage together with the focus setup they used.
+const LEADERBOARD_KEY = 'shooterFocus.leaderboard';
+const LEADERBOARD_SIZE = 10;
+const ROUND_COUNTDOWN = 3; // seconds
+
+// duration   - round length in seconds (time attack)
+// targets    - number of targets to spawn, none respawn; the round ends when
+//              every one that is not a decoy is broken (fixed targets)
+// rank       - leaderboard order, best first
+const gameModes = {
+  timeAttack: {
+    label: 'Time attack (60 s)',
+    duration: 60,
+    rank: (a, b) => b.score - a.score || b.accuracy - a.accuracy
+  },
+  targets: {
+    label: 'Fixed targets (20)',
+    targets: 20,
+    rank: (a, b) => a.time - b.time || b.score - a.score
+  },
+  endless: {
+    label: 'Endless',
+    rank: (a, b) => b.score - a.score || b.time - a.time
+  }
+};
+
+const round = {
+  mode: 'timeAttack',
+  phase: 'idle', // 'idle' | 'countdown' | 'playing' | 'ended'
+  countdown: 0,
+  elapsed: 0,
+  shots: 0,
+  hits: 0, // paintballs that hit a target (decoys excluded)
+  cleared: 0, // targets broken
+  goal: 0, // targets to break in a fixed-targets round
+  focusSum: 0, // focus level integrated over the round
+  focusedTime: 0 // seconds spent in the focused mode
+};
+
+const roundModeSelect = document.getElementById('roundMode');
+const roundStartButton = document.getElementById('roundStart');
+const roundEndButton = document.getElementById('roundEnd');
+const roundStatusEl = document.getElementById('roundStatus');
+const roundCountdownEl = document.getElementById('roundCountdown');
+const roundSummaryEl = document.getElementById('roundSummary');
+
+function loadLeaderboard() {
+  return readStoredObject(LEADERBOARD_KEY);
+}
+
+// Insert a run and return its place (0-based), or -1 if it did not make the board
+function recordRun(mode, run) {
+  const board = loadLeaderboard();
+  const runs = [...(board[mode] || []), run].sort(gameModes[mode].rank);
+  board[mode] = runs.slice(0, LEADERBOARD_SIZE);
+  writeStorage(LEADERBOARD_KEY, JSON.stringify(board));
+  return board[mode].indexOf(run);
+}
+
+function roundAccuracy() {
+  return round.shots ? round.hits / round.shots : 0;
+}
+
+function formatRoundTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(1);
+  return minutes ? `${minutes}:${rest.padStart(4, '0')}` : `${rest} s`;
+}
+
+function isRoundPlaying() {
+  return round.phase === 'playing';
+}
+
+// Targets hit during a fixed-targets round are not replaced
+function targetsRespawn() {
+  return !(isRoundPlaying() && gameModes[round.mode].targets);
+}
+
+function startRound(mode = round.mode) {
+  if (paintCityMode) setPaintCityMode(false);
+  round.mode = mode;
+  round.phase = 'countdown';
+  round.countdown = ROUND_COUNTDOWN;
+  round.elapsed = 0;
+  round.shots = 0;
+  round.hits = 0;
+  round.cleared = 0;
+  round.focusSum = 0;
+  round.focusedTime = 0;
+  score = 0;
+  updateScoreDisplay();
+  while (paintballs.length) removePaintball(paintballs.length - 1);
+  clearPaint();
+  respawnPlayer();
+  respawnTargets(gameModes[mode].targets || settings.maxTargets);
+  // A draw of only decoys would leave nothing to clear
+  if (targets.length && targets.every((target) => targetTypes[target.type].decoy)) {
+    releaseTarget(targets.pop());
+    targets.push(createTarget('standard'));
+  }
+  respawnBots();
+  round.goal = targets.filter((target) => !targetTypes[target.type].decoy).length;
+  if (roundSummaryEl) roundSummaryEl.hidden = true;
+  canvas.requestPointerLock();
+  logEvent('round_start', { mode });
+}
+
+function endRound() {
+  if (round.phase === 'countdown') {
+    // Nothing played yet
+    round.phase = 'idle';
+    if (roundCountdownEl) roundCountdownEl.hidden = true;
+    updateRoundStatus();
+    return;
+  }
+  if (!isRoundPlaying()) return;
+  round.phase = 'ended';
+  const run = {
+    score,
+    time: round3(round.elapsed),
+    shots: round.shots,
+    hits: round.hits,
+    accuracy: round3(roundAccuracy()),
+    // Focus setup the run was played with
+    profile: activeProfile.name,
+    calibrated: activeProfile.calibrated,
+    focusRule: activeFocusRule,
+    focusSource: focusSource(),
+    meanFocus: round3(round.elapsed ? round.focusSum / round.elapsed : focusLevel),
+    focusedShare: round3(round.elapsed ? round.focusedTime / round.elapsed : 0),
+    seed: worldSeed,
+    level: levelName,
+    date: new Date().toISOString()
+  };
+  const place = recordRun(round.mode, run);
+  logEvent('round_end', {
+    mode: round.mode, score, time: run.time, shots: run.shots, hits: run.hits, accuracy: run.accuracy
+  });
+  releasePointer();
+  respawnTargets();
+  updateRoundStatus();
+  showRoundSummary(run, place);
+}
+
+function updateRound(delta) {
+  if (round.phase === 'countdown') {
+    round.countdown -= delta;
+    if (roundCountdownEl) {
+      roundCountdownEl.hidden = false;
+      roundCountdownEl.textContent = round.countdown > 0 ? Math.ceil(round.countdown) : 'GO!';
+    }
+    if (round.countdown <= 0) round.phase = 'playing';
+  } else if (roundCountdownEl && !roundCountdownEl.hidden && round.countdown > -0.6) {
+    // Leave "GO!" up for a moment
+    round.countdown -= delta;
+    if (round.countdown <= -0.6) roundCountdownEl.hidden = true;
+  }
+
+  if (isRoundPlaying()) {
+    round.elapsed += delta;
+    round.focusSum += focusLevel * delta;
+    if (focusMode === 'focused') round.focusedTime += delta;
+    const mode = gameModes[round.mode];
+    if (mode.duration && round.elapsed >= mode.duration) {
+      round.elapsed = mode.duration;
+      endRound();
+    } else if (mode.targets && round.cleared >= round.goal) {
+      endRound();
+    }
+  }
+  updateRoundStatus();
+}
+
+// Count a shot, a target hit or a broken target towards the round
+function countRoundShot() {
+  if (isRoundPlaying()) round.shots++;
+}
+
+function countRoundHit() {
+  if (isRoundPlaying()) round.hits++;
+}
+
+function countRoundClear() {
+  if (isRoundPlaying()) round.cleared++;
+}
+
+function updateRoundStatus() {
+  if (roundStartButton) roundStartButton.textContent = round.phase === 'idle' || round.phase === 'ended' ? 'Start' : 'Restart';
+  if (roundEndButton) roundEndButton.disabled = !(isRoundPlaying() || round.phase === 'countdown');
+  if (!roundStatusEl) return;
+  if (!isRoundPlaying()) {
+    roundStatusEl.textContent = round.phase === 'countdown' ? 'Get ready…' : 'Free play';
+    return;
+  }
+  const mode = gameModes[round.mode];
+  const parts = [];
+  if (mode.duration) parts.push(`${formatRoundTime(Math.max(0, mode.duration - round.elapsed))} left`);
+  else parts.push(formatRoundTime(round.elapsed));
+  if (mode.targets) parts.push(`${round.cleared}/${round.goal} targets`);
+  parts.push(`Accuracy ${Math.round(roundAccuracy() * 100)}%`);
+  roundStatusEl.textContent = parts.join(' | ');
+}
+
+// Summary of a finished run (if any) and the mode's leaderboard
+function showRoundSummary(run = null, place = -1) {
+  if (!roundSummaryEl) return;
+  const mode = round.mode;
+  const runs = loadLeaderboard()[mode] || [];
+  roundSummaryEl.innerHTML = '';
+
+  const title = document.createElement('h2');
+  title.textContent = run ? `Round over: ${gameModes[mode].label}` : gameModes[mode].label;
+  roundSummaryEl.appendChild(title);
+
+  if (run) {
+    const stats = document.createElement('p');
+    stats.textContent = `Score ${run.score} | Time ${formatRoundTime(run.time)} | ` +
+      `Hits ${run.hits}/${run.shots} (${Math.round(run.accuracy * 100)}%) | ` +
+      `Focused ${Math.round(run.focusedShare * 100)}% of the round`;
+    roundSummaryEl.appendChild(stats);
+    const placeEl = document.createElement('p');
+    placeEl.className = 'round-place';
+    placeEl.textContent = place >= 0 ? `#${place + 1} on the leaderboard` : 'Not in the top 10 this time';
+    roundSummaryEl.appendChild(placeEl);
+  }
+
+  const table = document.createElement('table');
+  table.innerHTML = '<tr><th>#</th><th>Score</th><th>Time</th><th>Accuracy</th><th>Profile</th><th>Focus</th><th>Date</th></tr>';
+  runs.forEach((entry, i) => {
+    const row = table.insertRow();
+    if (i === place) row.className = 'current';
+    const focus = `${entry.focusSource}, ${Math.round(entry.focusedShare * 100)}% focused`;
+    const profile = `${entry.profile}${entry.calibrated ? '' : ' (uncalibrated)'}`;
+    for (const text of [i + 1, entry.score, formatRoundTime(entry.time), `${Math.round(entry.accuracy * 100)}%`,
+      profile, focus, entry.date.slice(0, 10)]) {
+      row.insertCell().textContent = text;
+    }
+  });
+  if (runs.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'No runs yet.';
+    roundSummaryEl.appendChild(empty);
+  } else {
+    roundSummaryEl.appendChild(table);
+  }
+
+  const buttons = document.createElement('p');
+  const again = document.createElement('button');
+  again.textContent = run ? 'Play again' : 'Play';
+  again.addEventListener('click', () => startRound(mode));
+  const close = document.createElement('button');
+  close.textContent = 'Close';
+  close.addEventListener('click', () => { roundSummaryEl.hidden = true; });
+  buttons.append(again, close);
+  roundSummaryEl.appendChild(buttons);
+  roundSummaryEl.hidden = false;
+}
+
+if (roundModeSelect) {
+  for (const [name, mode] of Object.entries(gameModes)) {
+    roundModeSelect.add(new Option(mode.label, name, false, name === round.mode));
+  }
+  roundModeSelect.addEventListener('change', () => {
+    // Takes effect with the next round
+    if (!isRoundPlaying() && round.phase !== 'countdown') round.mode = roundModeSelect.value;
+  });
+}
+if (roundStartButton) {
+  roundStartButton.addEventListener('click', () => startRound(roundModeSelect ? roundModeSelect.value : round.mode));
+}
+if (roundEndButton) {
+  roundEndButton.addEventListener('click', endRound);
+}
+const roundScoresButton = document.getElementById('roundScores');
+if (roundScoresButton) {
+  roundScoresButton.addEventListener('click', () => {
+    if (roundModeSelect && !isRoundPlaying()) round.mode = roundModeSelect.value;
+    showRoundSummary();
+  });
+}
+updateRoundStatus();
+
+// The fire action: not during a countdown, while eliminated, paused or editing
+function firePaintball() {
+  if (round.phase === 'countdown' || player.eliminated || paused || editor.active) return;
+  shootPaintball();
+}
+
+function shootPaintball() {
+  const color = new THREE.Color().setHSL(paintRandom(), 0.8, 0.5);
+
+  // Start from player position + offset for "gun"
+  const start = player.mesh.position.clone().add(new THREE.Vector3(0, playerHeight * 0.7, 0));
+
+  // Fly from the gun to whatever is under the crosshair, which is not straight
+  // along the view once the camera sits behind the shoulder or flies off.
+  // Aim points at or behind the gun fall back to the view direction.
+  const view = new THREE.Vector3();
+  camera.getWorldDirection(view);
+  const dir = crosshairTarget(new THREE.Vector3()).sub(start);
+  if (dir.dot(view) < 1) dir.copy(view);
+  dir.normalize();
+  // Wider spread as focus drops
+  applySpread(dir, focusRuleValue('spread'));
+  logEvent('shot', { ...logVector('', camera.position), ...logVector('dir', dir) });
+  countRoundShot();
+
+  start.add(dir.clone().multiplyScalar(1.0));
+  
+  createMuzzleFlash(start, dir);
+  alertBots(start, dir);
+  const ball = spawnPaintball(start, dir.multiplyScalar(paintballSettings.muzzleVelocity), color, paintballSettings.life);
+  if (ball) ball.shot = shareShot(ball);
+  
+  // Trigger recoil
+  player.recoil = 1.0;
+}
+
+const muzzleVelocityInput = document.getElementById('muzzleVelocity');
+const muzzleVelocityValue = document.getElementById('muzzleVelocityValue');
+if (muzzleVelocityInput) {
+  muzzleVelocityInput.value = paintballSettings.muzzleVelocity;
+  muzzleVelocityInput.addEventListener('input', () => {
+    paintballSettings.muzzleVelocity = Number(muzzleVelocityInput.value);
+    if (muzzleVelocityValue) muzzleVelocityValue.textContent = `${paintballSettings.muzzleVelocity} m/s`;
+  });
+}
+
+// ----- Bot Opponents -----
+// Soldier bots that roam the city on a navigation graph, take cover behind
+// buildings and shoot paintballs back. One hit eliminates either side; both
+// come back after a short delay.
+const BOT_POINTS = 100; // for eliminating a bot, before the focus score multiplier
+const BOT_SPEED = 5.5; // m/s
+const BOT_EYE_HEIGHT = 1.6;
+const BOT_RESPAWN_DELAY = 5; // seconds
+const BOT_SIGHT_INTERVAL = 0.25; // seconds between line-of-sight checks
+const BOT_COLORS = [0xff7a00, 0x00c8ff, 0xff2fa0, 0x9bff00, 0xffe100, 0x8a5cff];
+const PLAYER_RESPAWN_DELAY = 3; // seconds
+const PLAYER_SPAWN_PROTECTION = 2; // seconds
+
+// reaction     - seconds from spotting the player to the first shot
+// aimError     - half-angle of the aim cone, radians
+// fireInterval - seconds between shots
+// sightRange   - furthest a bot notices the player
+// lead         - aim ahead of a moving player
+const botDifficulties = {
+  easy: { label: 'Easy', reaction: 1.1, aimError: 0.09, fireInterval: 1.6, sightRange: 30, lead: false },
+  normal: { label: 'Normal', reaction: 0.6, aimError: 0.045, fireInterval: 1.1, sightRange: 40, lead: true },
+  hard: { label: 'Hard', reaction: 0.3, aimError: 0.02, fireInterval: 0.7, sightRange: 55, lead: true }
+};
+
+const botSettings = { count: 0, difficulty: 'normal' };
+const bots = [];
+
+// --- Navigation graph ---
+// Walkable spots sampled on streets, roofs, stairs and bridges, linked where
+// a bot can walk, jump up or step down between them. Rebuilt on demand after
+// the world octree changes.
+const NAV_SPACING = 3; // metres between street and roof samples
+const NAV_EXTENT = 48; // half-size of the sampled area
+const NAV_CEILING = 100; // street and roof samples are cast down from here
+const NAV_LINK = 4.5; // longest link
+const NAV_CLIMB = 1.6; // highest rise a bot jumps up
+const NAV_DROP = 6; // deepest drop a bot steps off
+const navGraph = { octree: null, nodes: [] };
+const _navRay = new THREE.Ray();
+const _navFrom = new THREE.Vector3();
+const _navDir = new THREE.Vector3();
+const _navA = new THREE.Vector3();
+const _navB = new THREE.Vector3();
+const _navCorner = new THREE.Vector3();
+
+// Walkable surface point below (x, top, z) within `depth`, or null
+function navSurface(x, top, z, depth) {
+  _navRay.set(_navFrom.set(x, top, z), DOWN);
+  const hit = worldRaycast(_navRay, depth);
+  if (!hit || hit.face.normal.y < WALKABLE_NORMAL_Y) return null;
+  return hit.point;
+}
+
+// Nothing solid on the straight line between two points
+function navClear(a, b) {
+  _navDir.subVectors(b, a);
+  const distance = _navDir.length();
+  if (distance === 0) return true;
+  _navRay.set(a, _navDir.divideScalar(distance));
+  return !worldRaycast(_navRay, distance);
+}
+
+function insideBuilding(x, z) {
+  return buildings.some((b) =>
+    Math.abs(x - b.x) < b.w / 2 + playerRadius && Math.abs(z - b.z) < b.d / 2 + playerRadius);
+}
+
+// Can a bot get between two nodes? Across at the higher node's height, then
+// straight down, with ground under the middle so it doesn't walk into a gap.
+function navLinkClear(p, q) {
+  const [high, low] = p.y >= q.y ? [p, q] : [q, p];
+  for (const lift of [0.5, 1.5]) {
+    _navA.copy(high).y += lift;
+    _navCorner.set(low.x, high.y + lift, low.z);
+    if (!navClear(_navA, _navCorner)) return false;
+  }
+  _navB.copy(low).y += 0.5;
+  if (high.y - low.y > 0.1 && !navClear(_navCorner.set(low.x, high.y + 0.5, low.z), _navB)) return false;
+  return navSurface((p.x + q.x) / 2, high.y + 0.5, (p.z + q.z) / 2, high.y - low.y + 1) !== null;
+}
+
+function buildNavGraph() {
+  const nodes = [];
+  const addNode = (point, kind) => {
+    if (!point || !capsuleFits(point, playerHeight)) return;
+    nodes.push({ position: point.clone(), kind, links: [], cover: false });
+  };
+
+  // Top surface of every column (street or roof), plus the street under overhangs
+  for (let x = -NAV_EXTENT; x <= NAV_EXTENT; x += NAV_SPACING) {
+    for (let z = -NAV_EXTENT; z <= NAV_EXTENT; z += NAV_SPACING) {
+      const top = navSurface(x, NAV_CEILING, z, NAV_CEILING + 1);
+      if (!top) continue;
+      if (top.y < 0.5) {
+        if (!insideBuilding(x, z)) addNode(top, 'street');
+        continue;
+      }
+      addNode(top, 'roof');
+      if (!insideBuilding(x, z)) addNode(navSurface(x, 1, z, 1.5), 'street');
+    }
+  }
+  // Stairs and bridges are too narrow for the grid, so follow them
+  for (const flight of stairs) {
+    const length = Math.hypot(flight.endX - flight.startX, flight.endZ - flight.startZ);
+    const samples = Math.max(2, Math.ceil(length / 1.5));
+    for (let i = 0; i <= samples; i++) {
+      const t = i / samples;
+      const y = THREE.MathUtils.lerp(flight.startHeight, flight.endHeight, t);
+      addNode(navSurface(
+        THREE.MathUtils.lerp(flight.startX, flight.endX, t),
+        y + 1.5,
+        THREE.MathUtils.lerp(flight.startZ, flight.endZ, t),
+        3
+      ), 'stairs');
+    }
+  }
+  for (const bridge of bridges) {
+    const samples = Math.max(1, Math.ceil(bridge.start.distanceTo(bridge.end) / 1.5));
+    for (let i = 0; i <= samples; i++) {
+      const point = bridge.start.clone().lerp(bridge.end, i / samples);
+      addNode(navSurface(point.x, point.y + 1.5, point.z, 2), 'bridge');
+    }
+  }
+
+  // Link neighbours found through a coarse grid of buckets
+  const buckets = new Map();
+  const bucketKey = (x, z) => `${x},${z}`;
+  nodes.forEach((node, i) => {
+    const key = bucketKey(Math.floor(node.position.x / NAV_LINK), Math.floor(node.position.z / NAV_LINK));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  });
+  nodes.forEach((node, i) => {
+    const p = node.position;
+    const bx = Math.floor(p.x / NAV_LINK);
+    const bz = Math.floor(p.z / NAV_LINK);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        for (const j of buckets.get(bucketKey(bx + dx, bz + dz)) || []) {
+          if (j <= i) continue;
+          const q = nodes[j].position;
+          const horizontal = Math.hypot(q.x - p.x, q.z - p.z);
+          const rise = q.y - p.y;
+          if (horizontal > NAV_LINK || Math.abs(rise) > NAV_DROP) continue;
+          if (!navLinkClear(p, q)) continue;
+          if (rise <= NAV_CLIMB) node.links.push(j);
+          if (-rise <= NAV_CLIMB) nodes[j].links.push(i);
+        }
+      }
+    }
+  });
+
+  // Cover: a wall within reach at chest height
+  for (const node of nodes) {
+    _navA.copy(node.position).y += 1;
+    for (let k = 0; k < 8 && !node.cover; k++) {
+      const angle = (k / 8) * Math.PI * 2;
+      _navRay.set(_navA, _navDir.set(Math.cos(angle), 0, Math.sin(angle)));
+      node.cover = worldRaycast(_navRay, NAV_SPACING) !== null;
+    }
+  }
+
+  navGraph.nodes = nodes;
+  navGraph.octree = worldOctree;
+  // Node indices changed, so routes planned on the old graph are stale
+  for (const bot of bots) bot.path = [];
+}
+
+function ensureNavGraph() {
+  if (navGraph.octree !== worldOctree) buildNavGraph();
+  return navGraph.nodes;
+}
+
+// Node closest to a point, preferring ones at the same height
+function nearestNavNode(point) {
+  let best = -1;
+  let bestScore = Infinity;
+  navGraph.nodes.forEach((node, i) => {
+    const p = node.position;
+    const score = Math.hypot(p.x - point.x, p.z - point.z) + Math.abs(p.y - point.y) * 3;
+    if (score < bestScore) {
+      bestScore = score;
+      best = i;
+    }
+  });
+  return best;
+}
+
+// A* over the graph; node indices from start to goal, or null if unreachable
+function findNavPath(start, goal) {
+  const nodes = navGraph.nodes;
+  const goalPosition = nodes[goal].position;
+  const cost = new Map([[start, 0]]);
+  const estimate = new Map([[start, nodes[start].position.distanceTo(goalPosition)]]);
+  const previous = new Map();
+  const open = [start];
+  while (open.length) {
+    let best = 0;
+    for (let k = 1; k < open.length; k++) {
+      if (estimate.get(open[k]) < estimate.get(open[best])) best = k;
+    }
+    const current = open[best];
+    if (current === goal) {
+      const path = [goal];
+      while (previous.has(path[0])) path.unshift(previous.get(path[0]));
+      return path;
+    }
+    open[best] = open[open.length - 1];
+    open.pop();
+    for (const next of nodes[current].links) {
+      const g = cost.get(current) + nodes[current].position.distanceTo(nodes[next].position);
+      if (g >= (cost.get(next) ?? Infinity)) continue;
+      cost.set(next, g);
+      estimate.set(next, g + nodes[next].position.distanceTo(goalPosition));
+      previous.set(next, current);
+      if (!open.includes(next)) open.push(next);
+    }
+  }
+  return null;
+}
+
+// --- Bots ---
+const _botFeet = new THREE.Vector3();
+const _botEye = new THREE.Vector3();
+const _botAim = new THREE.Vector3();
+const _botDir = new THREE.Vector3();
+const _botMove = new THREE.Vector3();
+const _aimBall = { position: new THREE.Vector3(), velocity: new THREE.Vector3() };
+const _playerHitCapsule = new Capsule();
+const eliminatedEl = document.getElementById('eliminated');
+
+function botFeet(bot, target = _botFeet) {
+  return target.copy(bot.collider.start).setY(bot.collider.start.y - bot.collider.radius);
+}
+
+function placeBot(bot, feet) {
+  bot.collider.start.set(feet.x, feet.y + playerRadius, feet.z);
+  bot.collider.end.set(feet.x, feet.y + playerHeight - playerRadius, feet.z);
+}
+
+// Soldier once the model has loaded, a capsule in the bot's color until then
+function setBotModel(bot) {
+  const soldier = createSoldier();
+  if (!soldier && bot.mesh) return;
+  if (bot.mesh) scene.remove(bot.mesh);
+  bot.soldier = soldier;
+  bot.mesh = soldier
+    ? soldier.model
+    : new THREE.Mesh(playerCapsuleGeo, new THREE.MeshStandardMaterial({ color: bot.color }));
+  bot.mesh.castShadow = true;
+  bot.mesh.visible = bot.alive;
+  scene.add(bot.mesh);
+}
+
+function applyBotModels() {
+  for (const bot of bots) {
+    if (!bot.soldier) setBotModel(bot);
+  }
+}
+
+function createBot(index) {
+  const bot = {
+    name: `Bot ${index + 1}`,
+    color: new THREE.Color(BOT_COLORS[index % BOT_COLORS.length]),
+    soldier: null,
+    mesh: null,
+    collider: new Capsule(new THREE.Vector3(), new THREE.Vector3(), playerRadius),
+    velocity: new THREE.Vector3(),
+    onGround: false,
+    yaw: 0,
+    alive: false,
+    respawnTimer: 0,
+    state: 'patrol', // 'patrol' | 'engage' | 'cover'
+    path: [], // node indices still to walk
+    pathIndex: 0,
+    sightTimer: 0,
+    seesPlayer: false,
+    sinceSeen: Infinity, // seconds since the player was last seen
+    lastSeen: new THREE.Vector3(),
+    reaction: 0,
+    fireTimer: 0,
+    shotsFired: 0, // since it last took cover
+    threatened: false, // a shot passed close by
+    coverTimer: 0,
+    stuckTimer: 0,
+    stuckCount: 0,
+    stuckFrom: new THREE.Vector3(),
+    stride: 0 // distance walked, for footsteps
+  };
+  setBotModel(bot);
+  return bot;
+}
+
+function removeBot(bot) {
+  scene.remove(bot.mesh);
+}
+
+// Put a bot on a random node away from the player
+function respawnBot(bot) {
+  const nodes = ensureNavGraph();
+  const playerPosition = player.mesh.position;
+  let spot = null;
+  for (let attempt = 0; attempt < 30 && nodes.length; attempt++) {
+    const candidate = nodes[Math.floor(botRandom() * nodes.length)].position;
+    spot = candidate;
+    if (candidate.distanceTo(playerPosition) > 20) break;
+  }
+  placeBot(bot, spot || _botFeet.copy(playerSpawn.position).add(_botDir.set(15, 0, 15)));
+  bot.velocity.set(0, 0, 0);
+  bot.yaw = botRandom() * Math.PI * 2;
+  bot.alive = true;
+  bot.state = 'patrol';
+  bot.path = [];
+  bot.seesPlayer = false;
+  bot.sinceSeen = Infinity;
+  bot.shotsFired = 0;
+  bot.stuckTimer = 0;
+  bot.stuckCount = 0;
+  bot.mesh.visible = true;
+}
+
+function respawnBots() {
+  for (const bot of bots) respawnBot(bot);
+}
+
+function setBotCount(count) {
+  botSettings.count = count;
+  while (bots.length > count) removeBot(bots.pop());
+  while (bots.length < count) {
+    const bot = createBot(bots.length);
+    bots.push(bot);
+    if (!paintCityMode) respawnBot(bot);
+  }
+}
+
+// Plan a route from where the bot stands to a node
+function routeBot(bot, goal) {
+  const start = nearestNavNode(botFeet(bot));
+  const path = start >= 0 && goal >= 0 ? findNavPath(start, goal) : null;
+  bot.path = path || [];
+  bot.pathIndex = 0;
+  return bot.path.length > 0;
+}
+
+function routeBotRandomly(bot) {
+  const nodes = navGraph.nodes;
+  if (nodes.length) routeBot(bot, Math.floor(botRandom() * nodes.length));
+}
+
+function botCanSeePlayer(bot, difficulty) {
+  if (player.eliminated) return false;
+  _botEye.copy(botFeet(bot)).y += BOT_EYE_HEIGHT;
+  _botAim.copy(player.mesh.position).y += player.height * 0.8;
+  const distance = _botEye.distanceTo(_botAim);
+  if (distance > difficulty.sightRange) return false;
+  // Forward view cone, but anyone right next to it is noticed
+  const facing = -Math.sin(bot.yaw) * (_botAim.x - _botEye.x) - Math.cos(bot.yaw) * (_botAim.z - _botEye.z);
+  if (distance > 8 && facing < Math.cos(THREE.MathUtils.degToRad(75)) * Math.hypot(_botAim.x - _botEye.x, _botAim.z - _botEye.z)) {
+    return false;
+  }
+  return navClear(_botEye, _botAim);
+}
+
+// Covered node near the bot that the player can't see, or -1
+function findCover(bot) {
+  const feet = botFeet(bot);
+  _botAim.copy(bot.lastSeen).y += BOT_EYE_HEIGHT;
+  const candidates = [];
+  navGraph.nodes.forEach((node, i) => {
+    if (!node.cover || Math.abs(node.position.y - feet.y) > 2) return;
+    const distance = node.position.distanceTo(feet);
+    // Don't run towards the player to hide
+    const towards = node.position.distanceTo(bot.lastSeen) < feet.distanceTo(bot.lastSeen) ? 6 : 0;
+    if (distance < 20) candidates.push({ i, score: distance + towards });
+  });
+  candidates.sort((a, b) => a.score - b.score);
+  for (const { i } of candidates.slice(0, 12)) {
+    _botEye.copy(navGraph.nodes[i].position).y += 1.2;
+    if (!navClear(_botAim, _botEye)) return i;
+  }
+  return -1;
+}
+
+function setBotState(bot, state) {
+  bot.state = state;
+  if (state === 'engage') {
+    const difficulty = botDifficulties[botSettings.difficulty];
+    bot.path = [];
+    bot.reaction = difficulty.reaction * (0.8 + botRandom() * 0.4);
+    bot.fireTimer = 0;
+  } else if (state === 'cover') {
+    bot.shotsFired = 0;
+    bot.coverTimer = 1.5 + botRandom() * 1.5;
+    const cover = findCover(bot);
+    if (cover < 0 || !routeBot(bot, cover)) routeBotRandomly(bot);
+  } else {
+    // Patrol: check on where the player was last seen, or wander
+    if (bot.sinceSeen < 15) routeBot(bot, nearestNavNode(bot.lastSeen));
+    if (!bot.path.length) routeBotRandomly(bot);
+  }
+}
+
+// Launch direction (into `out`) that carries a paintball from `origin` to
+// `aim`, corrected for drop and drag by simulating the flight
+function ballisticAim(origin, aim, out) {
+  const horizontal = Math.hypot(aim.x - origin.x, aim.z - origin.z);
+  let lift = 0;
+  out.subVectors(aim, origin).normalize();
+  for (let pass = 0; pass < 3; pass++) {
+    _aimBall.position.copy(origin);
+    _aimBall.velocity.copy(out).multiplyScalar(paintballSettings.muzzleVelocity);
+    for (let step = 0; step < 240; step++) {
+      if (Math.hypot(_aimBall.position.x - origin.x, _aimBall.position.z - origin.z) >= horizontal) break;
+      stepPaintball(_aimBall, PAINTBALL_SUBSTEP);
+    }
+    lift += aim.y - _aimBall.position.y;
+    out.subVectors(aim, origin);
+    out.y += lift;
+    out.normalize();
+  }
+  return out;
+}
+
+function botShoot(bot, difficulty) {
+  const feet = botFeet(bot);
+  const forwardX = -Math.sin(bot.yaw);
+  const forwardZ = -Math.cos(bot.yaw);
+  const origin = new THREE.Vector3(feet.x + forwardX * 0.6, feet.y + 1.4, feet.z + forwardZ * 0.6);
+  _botAim.copy(player.mesh.position).y += player.height * 0.6;
+  if (difficulty.lead) {
+    const flight = origin.distanceTo(_botAim) / paintballSettings.muzzleVelocity;
+    _botAim.addScaledVector(player.velocity, flight);
+  }
+  const dir = applySpread(ballisticAim(origin, _botAim, _botDir), difficulty.aimError);
+  createMuzzleFlash(origin, dir);
+  spawnPaintball(origin, dir.multiplyScalar(paintballSettings.muzzleVelocity), bot.color, paintballSettings.life, bot);
+  bot.shotsFired++;
+}
+
+// The player fired along `dir` from `origin`: bots the shot passes close to
+// know where it came from and want to get into cover
+function alertBots(origin, dir) {
+  for (const bot of bots) {
+    if (!bot.alive) continue;
+    _botEye.copy(botFeet(bot)).y += 1.2;
+    _botMove.subVectors(_botEye, origin);
+    const along = _botMove.dot(dir);
+    if (along <= 0 || _botMove.addScaledVector(dir, -along).length() > 3) continue;
+    bot.threatened = true;
+    bot.lastSeen.copy(player.mesh.position);
+    bot.sinceSeen = 0;
+  }
+}
+
+// Follow the route, jumping up to higher waypoints, under the same capsule
+// collision as the player
+function moveBot(bot, delta) {
+  const feet = botFeet(bot);
+  let wishX = 0;
+  let wishZ = 0;
+  if (bot.path.length) {
+    const waypoint = navGraph.nodes[bot.path[bot.pathIndex]].position;
+    const dx = waypoint.x - feet.x;
+    const dz = waypoint.z - feet.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance < 0.6 && Math.abs(waypoint.y - feet.y) < 1.8) {
+      bot.pathIndex++;
+      if (bot.pathIndex >= bot.path.length) bot.path = [];
+    } else {
+      wishX = dx / distance;
+      wishZ = dz / distance;
+      bot.yaw = Math.atan2(-wishX, -wishZ);
+      if (bot.onGround && waypoint.y - feet.y > STEP_HEIGHT && distance < 2.5) {
+        bot.velocity.y = parkourSettings.jumpSpeed;
+        bot.onGround = false;
+      }
+    }
+  }
+  if (bot.state === 'engage') {
+    const target = player.mesh.position;
+    bot.yaw = Math.atan2(-(target.x - feet.x), -(target.z - feet.z));
+  }
+  bot.velocity.x = wishX * BOT_SPEED;
+  bot.velocity.z = wishZ * BOT_SPEED;
+
+  const total = Math.min(delta, 0.1);
+  const steps = Math.max(1, Math.ceil(total / COLLISION_SUBSTEP));
+  const dt = total / steps;
+  for (let i = 0; i < steps; i++) {
+    bot.velocity.y += GRAVITY * dt;
+    bot.collider.translate(_botMove.copy(bot.velocity).multiplyScalar(dt));
+    bot.onGround = collideCapsule(bot.collider, bot.velocity, bot.onGround);
+  }
+  botFeet(bot);
+  if (_botFeet.y < 0) {
+    bot.collider.translate(_botMove.set(0, -_botFeet.y, 0));
+    bot.velocity.y = 0;
+    bot.onGround = true;
+  }
+
+  // Footfalls at the player's stride
+  if (bot.onGround && (wishX || wishZ)) {
+    const stride = Math.floor(bot.stride / Math.PI);
+    bot.stride += delta * BOT_SPEED * 0.9;
+    if (Math.floor(bot.stride / Math.PI) !== stride) playSound('step', _botFeet, 0.7);
+  }
+
+  // Not getting anywhere: jump once, then give up on the route
+  bot.stuckTimer += delta;
+  if (bot.stuckTimer > 1.5) {
+    if (bot.path.length && bot.stuckFrom.distanceTo(_botFeet) < 0.5) {
+      bot.stuckCount++;
+      if (bot.stuckCount === 1 && bot.onGround) {
+        bot.velocity.y = parkourSettings.jumpSpeed;
+      } else {
+        bot.stuckCount = 0;
+        routeBotRandomly(bot);
+      }
+    } else {
+      bot.stuckCount = 0;
+    }
+    bot.stuckTimer = 0;
+    bot.stuckFrom.copy(_botFeet);
+  }
+}
+
+function updateBot(bot, delta) {
+  if (!bot.alive) {
+    bot.respawnTimer -= delta;
+    if (bot.respawnTimer <= 0) respawnBot(bot);
+    return;
+  }
+  const difficulty = botDifficulties[botSettings.difficulty];
+
+  bot.sightTimer -= delta;
+  if (bot.sightTimer <= 0) {
+    bot.sightTimer = BOT_SIGHT_INTERVAL;
+    bot.seesPlayer = botCanSeePlayer(bot, difficulty);
+    if (bot.seesPlayer) bot.lastSeen.copy(player.mesh.position);
+  }
+  bot.sinceSeen = bot.seesPlayer ? 0 : bot.sinceSeen + delta;
+
+  if (bot.state === 'patrol') {
+    if (bot.seesPlayer) setBotState(bot, 'engage');
+    else if (bot.threatened) setBotState(bot, 'cover');
+    else if (!bot.path.length) setBotState(bot, 'patrol');
+  } else if (bot.state === 'engage') {
+    if (bot.threatened || bot.shotsFired >= 3) {
+      setBotState(bot, 'cover');
+    } else if (bot.sinceSeen > 1.5) {
+      setBotState(bot, 'patrol');
+    } else if (bot.seesPlayer) {
+      bot.reaction -= delta;
+      bot.fireTimer -= delta;
+      if (bot.reaction <= 0 && bot.fireTimer <= 0) {
+        botShoot(bot, difficulty);
+        bot.fireTimer = difficulty.fireInterval * (0.75 + botRandom() * 0.5);
+      }
+    }
+  } else if (bot.state === 'cover' && !bot.path.length) {
+    // Wait behind cover, then peek out again
+    bot.coverTimer -= delta;
+    if (bot.coverTimer <= 0) setBotState(bot, 'patrol');
+  }
+  bot.threatened = false;
+
+  moveBot(bot, delta);
+
+  bot.mesh.position.copy(botFeet(bot));
+  bot.mesh.rotation.y = bot.yaw + Math.PI; // Soldier faces +Z
+  if (bot.soldier) {
+    const moving = Math.hypot(bot.velocity.x, bot.velocity.z) > 0.5;
+    setSoldierAnimation(bot.soldier, moving ? 'run' : 'idle', moving ? 0.7 : 1);
+    bot.soldier.mixer.update(delta);
+  }
+}
+
+function updateBots(delta) {
+  if (bots.length === 0) return;
+  // Bots sit out paint-the-city mode
+  if (paintCityMode) {
+    for (const bot of bots) bot.mesh.visible = false;
+    return;
+  }
+  ensureNavGraph();
+  for (const bot of bots) updateBot(bot, delta);
+}
+
+function hitBot(bot, ball) {
+  const chest = botFeet(bot).clone();
+  chest.y += 1.2;
+  const points = Math.round(BOT_POINTS * focusRuleValue('scoreMultiplier'));
+  score += points;
+  logEvent('bot_hit', {
+    ...logVector('', chest),
+    distance: round3(chest.distanceTo(camera.position)),
+    points,
+    score,
+    mode: bot.name
+  });
+  showHitFeedback();
+  createExplosion(chest, ball.color);
+  countRoundHit();
+  bot.alive = false;
+  bot.respawnTimer = BOT_RESPAWN_DELAY;
+  bot.mesh.visible = false;
+  bot.path = [];
+  updateScoreDisplay();
+}
+
+// --- Player elimination ---
+function playerVulnerable() {
+  return !player.eliminated && player.protection <= 0;
+}
+
+function playerHitCapsule() {
+  const feet = player.mesh.position;
+  _playerHitCapsule.start.set(feet.x, feet.y + playerRadius, feet.z);
+  _playerHitCapsule.end.set(feet.x, feet.y + player.height - playerRadius, feet.z);
+  _playerHitCapsule.radius = playerRadius;
+  return _playerHitCapsule;
+}
+
+function hitPlayer(ball) {
+  const feet = player.mesh.position;
+  logEvent('player_hit', {
+    ...logVector('', feet),
+    distance: round3(botFeet(ball.owner).distanceTo(feet)),
+    score,
+    mode: ball.owner.name
+  });
+  eliminatePlayer(ball.owner.name, ball.color);
+}
+
+// Knock the player out until the respawn delay has passed
+function eliminatePlayer(by, color, delay = PLAYER_RESPAWN_DELAY) {
+  const chest = player.mesh.position.clone();
+  chest.y += player.height * 0.6;
+  createExplosion(chest, color);
+  player.eliminated = true;
+  player.eliminatedBy = by;
+  player.respawnTimer = delay;
+  player.velocity.x = 0;
+  player.velocity.z = 0;
+  if (eliminatedEl) eliminatedEl.style.setProperty('--paint', `#${color.getHexString()}`);
+}
+
+function updatePlayerElimination(delta) {
+  if (player.protection > 0) player.protection -= delta;
+  if (!player.eliminated) {
+    if (eliminatedEl) eliminatedEl.hidden = true;
+    return;
+  }
+  player.respawnTimer -= delta;
+  if (eliminatedEl) {
+    eliminatedEl.hidden = false;
+    eliminatedEl.textContent = `Eliminated by ${player.eliminatedBy} - back in ${Math.max(1, Math.ceil(player.respawnTimer))}`;
+  }
+  if (player.respawnTimer <= 0) {
+    respawnPlayer();
+    player.protection = PLAYER_SPAWN_PROTECTION;
+    logEvent('player_respawn', { ...logVector('', player.mesh.position) });
+  }
+}
+
+const botCountSelect = document.getElementById('botCount');
+if (botCountSelect) {
+  for (let count = 0; count <= BOT_COLORS.length; count++) {
+    botCountSelect.add(new Option(count ? String(count) : 'none', count, false, count === botSettings.count));
+  }
+  botCountSelect.addEventListener('change', () => setBotCount(Number(botCountSelect.value)));
+}
+const botDifficultySelect = document.getElementById('botDifficulty');
+if (botDifficultySelect) {
+  for (const [name, difficulty] of Object.entries(botDifficulties)) {
+    botDifficultySelect.add(new Option(difficulty.label, name, false, name === botSettings.difficulty));
+  }
+  botDifficultySelect.addEventListener('change', () => {
+    botSettings.difficulty = botDifficultySelect.value;
+  });
+}
+
+// ----- Multiplayer -----
+// Connects to the local relay (see server/multiplayer.mjs). Our movement,
+// shots and splats go to the server; other players are drawn as Soldiers
+// shown a little behind their latest snapshots so they move smoothly. Hits
+// on other players are only claimed here and count once the server confirms.
+const MP_DEFAULT_URL = 'ws://localhost:8766';
+const MP_SEND_INTERVAL = 0.05; // seconds between state messages
+const MP_INTERPOLATION_DELAY = 100; // ms behind the newest snapshot remote players are shown
+const multiplayer = {
+  socket: null,
+  url: MP_DEFAULT_URL,
+  connected: false,
+  wantConnection: false,
+  id: null, // ours, from the server
+  clockOffset: 0, // server time minus local time, smoothed
+  sendTimer: 0,
+  nextShot: 1,
+  players: new Map(), // id -> remote player
+  scores: []
+};
+const mpUrlInput = document.getElementById('mpUrl');
+const mpConnectButton = document.getElementById('mpConnect');
+const mpStatusEl = document.getElementById('mpStatus');
+const mpScoresEl = document.getElementById('mpScores');
+const _remotePrevious = new THREE.Vector3();
+const NAMEPLATE_BROAD = new THREE.Color(0xffaa00);
+const NAMEPLATE_FOCUSED = new THREE.Color(0x00ddff);
+const _nameplateColor = new THREE.Color();
+
+function sendMultiplayer(message) {
+  if (multiplayer.connected) multiplayer.socket.send(JSON.stringify(message));
+}
+
+function trackServerClock(time) {
+  if (typeof time !== 'number') return;
+  const offset = time - Date.now();
+  multiplayer.clockOffset += (offset - multiplayer.clockOffset) * 0.1;
+}
+
+// --- Nameplates ---
+// Name plus a bar showing the player's focus level, redrawn when it moves
+function createNameplate(name, color) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 64;
+  const texture = new THREE.CanvasTexture(canvas);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+  sprite.scale.set(1.6, 0.4, 1);
+  scene.add(sprite);
+  const plate = { sprite, canvas, texture, name, color, focus: -1 };
+  drawNameplate(plate, 0);
+  return plate;
+}
+
+function drawNameplate(plate, focus) {
+  plate.focus = focus;
+  const ctx = plate.canvas.getContext('2d');
+  ctx.clearRect(0, 0, 256, 64);
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+  ctx.fillRect(0, 0, 256, 64);
+  ctx.font = 'bold 24px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillStyle = plate.color;
+  ctx.fillText(plate.name, 128, 28);
+  // Focus bar: orange when broad, cyan when focused
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+  ctx.fillRect(16, 42, 224, 12);
+  _nameplateColor.lerpColors(NAMEPLATE_BROAD, NAMEPLATE_FOCUSED, focus);
+  ctx.fillStyle = `#${_nameplateColor.getHexString()}`;
+  ctx.fillRect(16, 42, 224 * focus, 12);
+  plate.texture.needsUpdate = true;
+}
+
+// --- Remote players ---
+function setRemoteModel(remote) {
+  const soldier = createSoldier();
+  if (!soldier && remote.mesh) return;
+  if (remote.mesh) scene.remove(remote.mesh);
+  remote.soldier = soldier;
+  remote.mesh = soldier
+    ? soldier.model
+    : new THREE.Mesh(playerCapsuleGeo, new THREE.MeshStandardMaterial({ color: remote.color }));
+  remote.mesh.castShadow = true;
+  remote.mesh.visible = false;
+  scene.add(remote.mesh);
+}
+
+function applyRemotePlayerModels() {
+  for (const remote of multiplayer.players.values()) {
+    if (!remote.soldier) setRemoteModel(remote);
+  }
+}
+
+function addRemotePlayer(info) {
+  if (info.id === multiplayer.id || multiplayer.players.has(info.id)) return;
+  const remote = {
+    id: info.id,
+    name: info.name,
+    color: info.color,
+    remote: true,
+    soldier: null,
+    mesh: null,
+    nameplate: createNameplate(info.name, info.color),
+    snapshots: [], // { time, position, yaw, pitch, height, focus, alive } in server time
+    position: new THREE.Vector3(),
+    yaw: 0,
+    pitch: 0,
+    height: playerHeight,
+    focus: 0,
+    alive: info.alive !== false,
+    collider: new Capsule(new THREE.Vector3(), new THREE.Vector3(), playerRadius)
+  };
+  setRemoteModel(remote);
+  multiplayer.players.set(remote.id, remote);
+}
+
+function removeRemotePlayer(id) {
+  const remote = multiplayer.players.get(id);
+  if (!remote) return;
+  scene.remove(remote.mesh);
+  scene.remove(remote.nameplate.sprite);
+  remote.nameplate.texture.dispose();
+  remote.nameplate.sprite.material.dispose();
+  multiplayer.players.delete(id);
+}
+
+function clearRemotePlayers() {
+  for (const id of [...multiplayer.players.keys()]) removeRemotePlayer(id);
+}
+
+function lerpAngle(a, b, t) {
+  const difference = THREE.MathUtils.euclideanModulo(b - a + Math.PI, Math.PI * 2) - Math.PI;
+  return a + difference * t;
+}
+
+// Place a remote player between the two snapshots around the render time
+function updateRemotePlayer(remote, renderTime, delta) {
+  const snapshots = remote.snapshots;
+  if (!snapshots.length) return;
+  while (snapshots.length > 2 && snapshots[1].time <= renderTime) snapshots.shift();
+  const a = snapshots[0];
+  const b = snapshots[1] || a;
+  const span = b.time - a.time;
+  const t = span > 0 ? THREE.MathUtils.clamp((renderTime - a.time) / span, 0, 1) : 1;
+
+  _remotePrevious.copy(remote.position);
+  remote.position.lerpVectors(a.position, b.position, t);
+  remote.yaw = lerpAngle(a.yaw, b.yaw, t);
+  remote.pitch = THREE.MathUtils.lerp(a.pitch, b.pitch, t);
+  remote.focus = THREE.MathUtils.lerp(a.focus, b.focus, t);
+  remote.height = b.height;
+  remote.alive = (t < 1 ? a : b).alive;
+
+  const feet = remote.position;
+  remote.collider.start.set(feet.x, feet.y + playerRadius, feet.z);
+  remote.collider.end.set(feet.x, feet.y + remote.height - playerRadius, feet.z);
+
+  remote.mesh.visible = remote.alive;
+  remote.mesh.position.copy(feet);
+  remote.mesh.rotation.y = remote.yaw + Math.PI; // Soldier faces +Z
+  if (remote.soldier) {
+    const speed = delta > 0 ? _remotePrevious.distanceTo(feet) / delta : 0;
+    setSoldierAnimation(remote.soldier, speed > 0.5 ? 'run' : 'idle', speed > 0.5 ? Math.min(speed / parkourSettings.runSpeed, 1.6) : 1);
+    remote.soldier.mixer.update(delta);
+    // Lean the upper body with the aim (the clip resets the bone each update)
+    if (remote.soldier.spine) remote.soldier.spine.rotateX(-remote.pitch * 0.8);
+  }
+
+  const plate = remote.nameplate;
+  plate.sprite.visible = remote.alive;
+  plate.sprite.position.set(feet.x, feet.y + remote.height + 0.5, feet.z);
+  if (Math.abs(plate.focus - remote.focus) > 0.02) drawNameplate(plate, remote.focus);
+}
+
+function updateMultiplayer(delta) {
+  if (!multiplayer.connected) return;
+  multiplayer.sendTimer -= delta;
+  if (multiplayer.sendTimer <= 0) {
+    multiplayer.sendTimer = MP_SEND_INTERVAL;
+    sendMultiplayer({
+      type: 'state',
+      position: player.mesh.position.toArray().map(round3),
+      yaw: round3(player.yaw),
+      pitch: round3(player.pitch),
+      height: round3(player.height),
+      focus: round3(focusLevel)
+    });
+  }
+  const renderTime = Date.now() + multiplayer.clockOffset - MP_INTERPOLATION_DELAY;
+  for (const remote of multiplayer.players.values()) updateRemotePlayer(remote, renderTime, delta);
+}
+
+// --- Shots, splats and hits ---
+// Tell the others about a paintball we fired; returns its shot id, or null offline
+function shareShot(ball) {
+  if (!multiplayer.connected || player.eliminated) return null;
+  const shot = multiplayer.nextShot++;
+  sendMultiplayer({
+    type: 'shot',
+    shot,
+    origin: ball.position.toArray().map(round3),
+    velocity: ball.velocity.toArray().map(round3),
+    color: `#${ball.color.getHexString()}`
+  });
+  return shot;
+}
+
+function shareSplat(hit, color) {
+  if (!multiplayer.connected) return;
+  sendMultiplayer({
+    type: 'splat',
+    point: hit.point.toArray().map(round3),
+    normal: hit.face.normal.toArray().map(round3),
+    color: `#${color.getHexString()}`
+  });
+}
+
+// Our paintball reached another player; the server decides if it counts
+function claimRemoteHit(remote, ball) {
+  if (ball.shot === null) return;
+  sendMultiplayer({ type: 'hit', shot: ball.shot, target: remote.id });
+}
+
+// Another player's shot, fast-forwarded so it lines up with the shooter as drawn
+function receiveShot(msg) {
+  const remote = multiplayer.players.get(msg.id);
+  if (!remote) return;
+  const ball = spawnPaintball(
+    new THREE.Vector3().fromArray(msg.origin),
+    new THREE.Vector3().fromArray(msg.velocity),
+    new THREE.Color(msg.color),
+    paintballSettings.life,
+    remote
+  );
+  if (!ball) return;
+  createMuzzleFlash(ball.position, ball.velocity.clone().normalize());
+  const age = (Date.now() + multiplayer.clockOffset - MP_INTERPOLATION_DELAY - msg.time) / 1000;
+  for (let elapsed = 0; elapsed + PAINTBALL_SUBSTEP <= age && ball.life > 0; elapsed += PAINTBALL_SUBSTEP) {
+    stepPaintball(ball, PAINTBALL_SUBSTEP);
+    ball.life -= PAINTBALL_SUBSTEP;
+  }
+}
+
+function receiveSplat(msg) {
+  const hit = {
+    point: new THREE.Vector3().fromArray(msg.point),
+    face: { normal: new THREE.Vector3().fromArray(msg.normal) }
+  };
+  const color = new THREE.Color(msg.color);
+  addDecal(hit, color);
+  createSplash(hit.point, hit.face.normal, color);
+}
+
+function receiveElimination(msg) {
+  multiplayer.scores = msg.scores;
+  const color = new THREE.Color(msg.color);
+  const shooter = msg.shooter === multiplayer.id ? 'you' : (multiplayer.players.get(msg.shooter) || {}).name;
+  if (msg.target === multiplayer.id) {
+    logEvent('player_hit', { ...logVector('', player.mesh.position), score, mode: shooter });
+    eliminatePlayer(shooter, color, msg.respawn);
+  } else {
+    const remote = multiplayer.players.get(msg.target);
+    if (remote) {
+      remote.alive = false;
+      createExplosion(remote.collider.end, color);
+      if (msg.shooter === multiplayer.id) {
+        logEvent('player_tag', { ...logVector('', remote.position), score, mode: remote.name });
+        showHitFeedback();
+      }
+    }
+  }
+  updateMultiplayerStatus();
+}
+
+function receiveMultiplayer(msg) {
+  trackServerClock(msg.time);
+  if (msg.type === 'welcome') {
+    // Everyone has to play the same city
+    if (msg.seed && msg.seed !== worldSeed) {
+      const url = new URL(seedShareUrl(msg.seed));
+      url.searchParams.set('mp', multiplayer.url);
+      window.location.href = url.toString();
+      return;
+    }
+    multiplayer.id = msg.id;
+    multiplayer.clockOffset = msg.time - Date.now();
+    multiplayer.scores = msg.players;
+    msg.players.forEach(addRemotePlayer);
+    logEvent('multiplayer', { mode: 'joined' });
+  } else if (msg.type === 'joined') {
+    addRemotePlayer(msg.player);
+    multiplayer.scores.push(msg.player);
+  } else if (msg.type === 'left') {
+    removeRemotePlayer(msg.id);
+    multiplayer.scores = multiplayer.scores.filter((entry) => entry.id !== msg.id);
+  } else if (msg.type === 'snapshot') {
+    for (const state of msg.players) {
+      const remote = multiplayer.players.get(state.id);
+      if (!remote) continue;
+      remote.snapshots.push({
+        time: msg.time,
+        position: new THREE.Vector3().fromArray(state.position),
+        yaw: state.yaw,
+        pitch: state.pitch,
+        height: state.height,
+        focus: state.focus,
+        alive: state.alive
+      });
+      if (remote.snapshots.length > 30) remote.snapshots.shift();
+    }
+  } else if (msg.type === 'shot') {
+    receiveShot(msg);
+  } else if (msg.type === 'splat') {
+    receiveSplat(msg);
+  } else if (msg.type === 'eliminated') {
+    receiveElimination(msg);
+  }
+  if (msg.type !== 'snapshot' && msg.type !== 'shot' && msg.type !== 'splat') updateMultiplayerStatus();
+}
+
+function updateMultiplayerStatus() {
+  if (mpConnectButton) mpConnectButton.textContent = multiplayer.wantConnection ? 'Leave' : 'Join';
+  if (mpStatusEl) {
+    mpStatusEl.textContent = multiplayer.connected
+      ? `${multiplayer.players.size + 1} playing`
+      : multiplayer.wantConnection ? 'connecting…' : 'off';
+  }
+  if (!mpScoresEl) return;
+  mpScoresEl.innerHTML = '';
+  mpScoresEl.hidden = !multiplayer.connected;
+  const entries = [...multiplayer.scores].sort((a, b) => b.score - a.score || a.deaths - b.deaths);
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.style.setProperty('--player', entry.color);
+    item.textContent = `${entry.name}${entry.id === multiplayer.id ? ' (you)' : ''}: ${entry.score} / ${entry.deaths}`;
+    mpScoresEl.appendChild(item);
+  }
+}
+
+function connectMultiplayer(url = multiplayer.url) {
+  disconnectMultiplayer();
+  multiplayer.url = url;
+  multiplayer.wantConnection = true;
+
+  let socket;
+  try {
+    socket = new WebSocket(url);
+  } catch (err) {
+    console.error("Invalid multiplayer server URL:", err);
+    multiplayer.wantConnection = false;
+    updateMultiplayerStatus();
+    return;
+  }
+  multiplayer.socket = socket;
+
+  socket.addEventListener('open', () => {
+    multiplayer.connected = true;
+    socket.send(JSON.stringify({ type: 'join', name: activeProfile.name, seed: worldSeed }));
+    console.log("Multiplayer connected:", url);
+    updateMultiplayerStatus();
+  });
+  socket.addEventListener('message', (event) => {
+    let msg;
+    try {
+      msg = JSON.parse(event.data);
+    } catch (err) {
+      return;
+    }
+    if (!msg || typeof msg !== 'object') return;
+    receiveMultiplayer(msg);
+  });
+  socket.addEventListener('close', () => {
+    if (multiplayer.socket !== socket) return;
+    multiplayer.socket = null;
+    multiplayer.connected = false;
+    multiplayer.wantConnection = false;
+    multiplayer.id = null;
+    multiplayer.scores = [];
+    clearRemotePlayers();
+    logEvent('multiplayer', { mode: 'left' });
+    updateMultiplayerStatus();
+  });
+  updateMultiplayerStatus();
+}
+
+function disconnectMultiplayer() {
+  multiplayer.wantConnection = false;
+  if (multiplayer.socket) {
+    const socket = multiplayer.socket;
+    multiplayer.socket = null;
+    socket.close();
+  }
+  multiplayer.connected = false;
+  multiplayer.id = null;
+  multiplayer.scores = [];
+  clearRemotePlayers();
+  updateMultiplayerStatus();
+}
+
+if (mpConnectButton) {
+  mpConnectButton.addEventListener('click', () => {
+    if (multiplayer.wantConnection) {
+      disconnectMultiplayer();
+    } else {
+      connectMultiplayer(mpUrlInput && mpUrlInput.value.trim() ? mpUrlInput.value.trim() : MP_DEFAULT_URL);
+    }
+  });
+}
+
+// ?mp=1 joins the default server, ?mp=ws://host:port another one
+const mpParam = new URLSearchParams(window.location.search).get('mp');
+if (mpParam) {
+  const url = mpParam.startsWith('ws') ? mpParam : MP_DEFAULT_URL;
+  if (mpUrlInput) mpUrlInput.value = url;
+  connectMultiplayer(url);
+}
+updateMultiplayerStatus();
+
+// ----- Seed UI -----
+function seedShareUrl(seed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', seed);
+  return url.toString();
+}
+
+const seedInput = document.getElementById('seedInput');
+if (seedInput) seedInput.value = worldSeed;
+
+const seedLoadButton = document.getElementById('seedLoad');
+if (seedLoadButton) {
+  seedLoadButton.addEventListener('click', () => {
+    const seed = seedInput && seedInput.value.trim();
+    if (seed) window.location.href = seedShareUrl(seed);
+  });
+}
+
+const seedCopyButton = document.getElementById('seedCopy');
+if (seedCopyButton) {
+  seedCopyButton.addEventListener('click', () => {
+    const url = seedShareUrl(worldSeed);
+    const copied = () => {
+      seedCopyButton.textContent = 'Copied!';
+      setTimeout(() => { seedCopyButton.textContent = 'Copy link'; }, 1200);
+    };
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(copied, () => prompt('Copy this link:', url));
+    } else {
+      prompt('Copy this link:', url);
+    }
+  });
+}
+
+// ----- Geometry import (Keep existing functionality) -----
+const fileInput = document.getElementById("fileInput");
+const loader = new GLTFLoader();
+const importedAssets = [];
+
+// Add a loaded GLTF scene as static world geometry. `url` is what a level
+// file will reference it by; `transform` holds optional position, rotation
+// (Euler XYZ radians) and scale arrays.
+function addAssetModel(model, url, transform = {}) {
+  model.traverse((obj) => {
+    if (obj.isMesh) {
+      obj.castShadow = true;
+      obj.receiveShadow = true;
+      buildingMeshes.push(obj);
+    }
+  });
+  model.position.fromArray(transform.position || [0, 0, 0]);
+  model.rotation.fromArray(transform.rotation || [0, 0, 0]);
+  model.scale.fromArray(transform.scale || [1, 1, 1]);
+  scene.add(model);
+  importedAssets.push({ url, model });
+  rebuildWorldCollision();
+}
+
+if (fileInput) {
+  fileInput.addEventListener("change", (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    loader.load(url, (gltf) => {
+      // Levels refer to the file by name, relative to the page
+      if (editor.active) {
+        // Drop it where the editor camera is looking, ready to adjust
+        editorCommit(() => {
+          addAssetModel(gltf.scene, file.name, { position: editorViewPoint().toArray() });
+          editorSelect({ kind: 'asset', item: importedAssets[importedAssets.length - 1] });
+        });
+      } else {
+        addAssetModel(gltf.scene, file.name);
+      }
+      URL.revokeObjectURL(url);
+    });
+  });
+}
+
+// ----- Level Files -----
+// JSON description of a whole arena: buildings, stairs, bridges, target
+// spawn volumes, player spawn, lighting/fog and imported GLTF assets.
+// Positions are [x, y, z] arrays and colors are "#rrggbb" strings.
+const LEVEL_FORMAT = 'shooterFocus-level';
+const LEVEL_VERSION = 1;
+let levelName = null;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function roundArray(values) {
+  return values.map(round2);
+}
+
+function currentLighting() {
+  return {
+    background: `#${scene.background.getHexString()}`,
+    ambient: { color: `#${ambient.color.getHexString()}`, intensity: ambient.intensity },
+    sun: {
+      color: `#${sun.color.getHexString()}`,
+      intensity: sun.intensity,
+      position: roundArray(sun.position.toArray())
+    },
+    fog: {
+      color: `#${scene.fog.color.getHexString()}`,
+      focused: { near: focusModes.focused.fogNear, far: focusModes.focused.fogFar },
+      broad: { near: focusModes.broad.fogNear, far: focusModes.broad.fogFar }
+    }
+  };
+}
+
+// The generated city's lighting; every level starts from it
+const baseLighting = currentLighting();
+
+function exportLevel() {
+  return {
+    format: LEVEL_FORMAT,
+    version: LEVEL_VERSION,
+    name: levelName || `city-${worldSeed}`,
+    seed: worldSeed,
+    buildings: buildings.map((b) => ({
+      x: round2(b.x), z: round2(b.z), w: round2(b.w), d: round2(b.d), h: round2(b.h),
+      textureSeed: b.textureSeed
+    })),
+    stairs: stairs.map((st) => ({
+      start: roundArray([st.startX, st.startHeight, st.startZ]),
+      end: roundArray([st.endX, st.endHeight, st.endZ]),
+      width: st.width
+    })),
+    bridges: bridges.map((br) => ({
+      start: roundArray(br.start.toArray()),
+      end: roundArray(br.end.toArray()),
+      width: br.width
+    })),
+    targetSpawns: targetSpawnVolumes,
+    playerSpawn: {
+      position: roundArray(playerSpawn.position.toArray()),
+      yaw: round2(playerSpawn.yaw)
+    },
+    lighting: currentLighting(),
+    assets: importedAssets.map(({ url, model }) => ({
+      url,
+      position: roundArray(model.position.toArray()),
+      rotation: roundArray([model.rotation.x, model.rotation.y, model.rotation.z]),
+      scale: roundArray(model.scale.toArray())
+    }))
+  };
+}
+
+function disposeObject(object) {
+  object.traverse((obj) => {
+    if (!obj.isMesh) return;
+    obj.geometry.dispose();
+    for (const material of [].concat(obj.material)) {
+      if (material.map) material.map.dispose();
+      material.dispose();
+    }
+  });
+}
+
+function removeFromWorld(object) {
+  scene.remove(object);
+  disposeObject(object);
+}
+
+// Remove buildings, stairs and bridges
+function clearStructures() {
+  buildings.forEach((b) => removeFromWorld(b.mesh));
+  stairs.forEach((st) => st.meshes.forEach(removeFromWorld));
+  bridges.forEach((br) => removeFromWorld(br.mesh));
+  buildings.length = 0;
+  stairs.length = 0;
+  bridges.length = 0;
+}
+
+// Bumped whenever the world is cleared, so GLTF assets still loading for the
+// previous level are dropped when they arrive
+let worldGeneration = 0;
+
+// Remove all level geometry (and the paint on it)
+function clearWorld() {
+  worldGeneration++;
+  clearStructures();
+  importedAssets.forEach((asset) => removeFromWorld(asset.model));
+  importedAssets.length = 0;
+  buildingMeshes.length = 0;
+  clearPaint();
+}
+
+// Recollect the static mesh list from the world data and rebuild collision,
+// after structures were edited or removed individually
+function refreshWorldMeshes() {
+  buildingMeshes.length = 0;
+  buildings.forEach((b) => buildingMeshes.push(b.mesh));
+  stairs.forEach((st) => buildingMeshes.push(...st.meshes));
+  bridges.forEach((br) => buildingMeshes.push(br.mesh));
+  importedAssets.forEach(({ model }) => model.traverse((obj) => {
+    if (obj.isMesh) buildingMeshes.push(obj);
+  }));
+  rebuildWorldCollision();
+  recountPaintableCells();
+}
+
+function respawnPlayer() {
+  player.mesh.position.copy(playerSpawn.position);
+  player.velocity.set(0, 0, 0);
+  player.yaw = playerSpawn.yaw;
+  player.pitch = 0;
+  player.onGround = false;
+  player.eliminated = false;
+  player.protection = 0;
+}
+
+function respawnTargets(count = settings.maxTargets) {
+  targets.forEach(releaseTarget);
+  targets.length = 0;
+  if (paintCityMode) return;
+  for (let i = 0; i < Math.min(count, TARGET_POOL_SIZE); i++) {
+    targets.push(createTarget());
+  }
+}
+
+// Add or remove targets to match the setting, keeping the ones in flight.
+// Fixed-target rounds keep their count until they end.
+function fitTargets() {
+  if (paintCityMode || !targetsRespawn()) return;
+  const count = Math.min(settings.maxTargets, TARGET_POOL_SIZE);
+  while (targets.length > count) releaseTarget(targets.pop());
+  while (targets.length < count) targets.push(createTarget());
+}
+
+// Reset to the base lighting, then apply the level's overrides
+function applyLighting(lighting = {}) {
+  overrideLighting(baseLighting);
+  overrideLighting(lighting);
+}
+
+function overrideLighting(lighting) {
+  if (lighting.background) scene.background.set(lighting.background);
+  if (lighting.ambient) {
+    if (lighting.ambient.color) ambient.color.set(lighting.ambient.color);
+    if (lighting.ambient.intensity !== undefined) ambient.intensity = lighting.ambient.intensity;
+  }
+  if (lighting.sun) {
+    if (lighting.sun.color) sun.color.set(lighting.sun.color);
+    if (lighting.sun.intensity !== undefined) sun.intensity = lighting.sun.intensity;
+    if (lighting.sun.position) sun.position.fromArray(lighting.sun.position);
+  }
+  if (lighting.fog) {
+    if (lighting.fog.color) scene.fog.color.set(lighting.fog.color);
+    for (const mode of ['focused', 'broad']) {
+      const fog = lighting.fog[mode];
+      if (!fog) continue;
+      if (fog.near !== undefined) focusModes[mode].fogNear = fog.near;
+      if (fog.far !== undefined) focusModes[mode].fogFar = fog.far;
+    }
+    applyFocusLevel(focusLevel);
+  }
+}
+
+function isNumberArray(value, length = 3) {
+  return Array.isArray(value) && value.length === length && value.every((n) => Number.isFinite(n));
+}
+
+function isOptionalNumber(value) {
+  return value === undefined || Number.isFinite(value);
+}
+
+// Check the shape of every entry up front, so a broken file throws before the
+// current world is cleared
+function validateLevel(level) {
+  if (!level || level.format !== LEVEL_FORMAT) {
+    throw new Error('Not a shooterFocus level file');
+  }
+  if (level.version > LEVEL_VERSION) {
+    throw new Error(`Level format version ${level.version} is newer than this game supports`);
+  }
+  for (const key of ['buildings', 'stairs', 'bridges', 'targetSpawns', 'assets']) {
+    if (level[key] !== undefined && !Array.isArray(level[key])) {
+      throw new Error(`Level ${key} must be a list`);
+    }
+  }
+  (level.buildings || []).forEach((b, i) => {
+    if (!b || !['x', 'z', 'w', 'd', 'h'].every((key) => Number.isFinite(b[key])) || !isOptionalNumber(b.textureSeed)) {
+      throw new Error(`Level building ${i + 1} needs numeric x, z, w, d and h`);
+    }
+  });
+  for (const [key, label] of [['stairs', 'stairs'], ['bridges', 'bridge']]) {
+    (level[key] || []).forEach((entry, i) => {
+      if (!entry || !isNumberArray(entry.start) || !isNumberArray(entry.end) || !isOptionalNumber(entry.width)) {
+        throw new Error(`Level ${label} ${i + 1} needs [x, y, z] start and end points`);
+      }
+    });
+  }
+  (level.targetSpawns || []).forEach((volume, i) => {
+    const valid = volume && (volume.type === 'box'
+      ? isNumberArray(volume.min) && isNumberArray(volume.max)
+      : isNumberArray(volume.center, 2) &&
+        ['innerRadius', 'outerRadius', 'minY', 'maxY'].every((key) => Number.isFinite(volume[key])));
+    if (!valid) throw new Error(`Level target spawn ${i + 1} is not a valid box or ring`);
+  });
+  const spawn = level.playerSpawn;
+  if (spawn !== undefined && spawn !== null &&
+    ((spawn.position !== undefined && !isNumberArray(spawn.position)) || !isOptionalNumber(spawn.yaw))) {
+    throw new Error('Level player spawn needs an [x, y, z] position and a numeric yaw');
+  }
+  (level.assets || []).forEach((asset, i) => {
+    if (!asset || typeof asset.url !== 'string' ||
+      !['position', 'rotation', 'scale'].every((key) => asset[key] === undefined || isNumberArray(asset[key]))) {
+      throw new Error(`Level asset ${i + 1} needs a url and [x, y, z] transforms`);
+    }
+  });
+  const levelSun = level.lighting && level.lighting.sun;
+  if (levelSun && levelSun.position !== undefined && !isNumberArray(levelSun.position)) {
+    throw new Error('Level sun position must be [x, y, z]');
+  }
+}
+
+function loadLevel(level) {
+  validateLevel(level);
+
+  clearWorld();
+  for (const b of level.buildings || []) {
+    addBuilding(b.x, b.z, b.w, b.d, b.h, b.textureSeed ?? hashSeed(`${b.x},${b.z}`));
+  }
+  for (const st of level.stairs || []) {
+    addStairs(st.start[0], st.start[2], st.end[0], st.end[2], st.start[1], st.end[1], st.width);
+  }
+  for (const br of level.bridges || []) {
+    addBridge(new THREE.Vector3().fromArray(br.start), new THREE.Vector3().fromArray(br.end), br.width);
+  }
+  rebuildWorldCollision();
+  recountPaintableCells();
+
+  targetSpawnVolumes = level.targetSpawns && level.targetSpawns.length
+    ? level.targetSpawns
+    : DEFAULT_TARGET_SPAWNS;
+  if (level.playerSpawn) {
+    playerSpawn.position.fromArray(level.playerSpawn.position || [0, 0, 0]);
+    playerSpawn.yaw = level.playerSpawn.yaw || 0;
+  } else {
+    playerSpawn.position.copy(findSpawnPoint());
+    playerSpawn.yaw = 0;
+  }
+  applyLighting(level.lighting || {});
+
+  // Assets stream in afterwards and rebuild collision as each one arrives
+  const generation = worldGeneration;
+  for (const asset of level.assets || []) {
+    loader.load(
+      asset.url,
+      (gltf) => {
+        if (generation === worldGeneration) addAssetModel(gltf.scene, asset.url, asset);
+      },
+      undefined,
+      (err) => console.error(`Error loading level asset ${asset.url}:`, err)
+    );
+  }
+
+  levelName = level.name || null;
+  resetEditorHistory();
+  respawnPlayer();
+  respawnTargets();
+  respawnBots();
+  logEvent('level_loaded', { mode: levelName });
+  console.log(`Level loaded: ${levelName || 'untitled'}`);
+}
+
+const levelSaveButton = document.getElementById('levelSave');
+if (levelSaveButton) {
+  levelSaveButton.addEventListener('click', () => {
+    const level = exportLevel();
+    downloadFile(`${level.name}.json`, JSON.stringify(level, null, 2), 'application/json');
+  });
+}
+
+const levelInput = document.getElementById('levelInput');
+if (levelInput) {
+  levelInput.addEventListener('change', (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        loadLevel(JSON.parse(text));
+      } catch (err) {
+        console.error("Error loading level:", err);
+        alert(`Could not load level: ${err.message}`);
+      }
+    });
+  });
+}
+
+if (levelUrl) {
+  fetch(levelUrl)
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(loadLevel)
+    .catch((err) => console.error(`Error loading level ${levelUrl}:`, err));
+}
+
+// ----- Level Editor -----
+// Free-fly authoring mode toggled from the menu. Gameplay is frozen while it
+// is open and every tool edits the same world data that level files save.
+// Undo/redo keeps whole-world snapshots of that data.
+const EDITOR_UNDO_LIMIT = 100;
+const EDITOR_FLY_SPEED = 15;
+const EDITOR_BUILDING_SIZE = { w: 6, d: 6, h: 10 };
+const EDITOR_ZONE_HEIGHT = [3, 18];
+
+const editor = {
+  active: false,
+  tool: 'select',
+  grid: 1,
+  snap: true,
+  selection: null, // { kind: 'building' | 'stairs' | 'bridge' | 'asset' | 'zone' | 'spawn', item }
+  pendingPoint: null, // first end of a stairs/bridge being drawn
+  drag: null,
+  zoneDraw: null,
+  looking: false,
+  position: new THREE.Vector3(),
+  yaw: 0,
+  pitch: 0,
+  undo: [],
+  redo: [],
+  enteredAt: null, // undo stack top when the editor was opened
+  helpers: new THREE.Group()
+};
+editor.helpers.visible = false;
+scene.add(editor.helpers);
+
+const editorRaycaster = new THREE.Raycaster();
+const editorPointer = new THREE.Vector2();
+const editorPanel = document.getElementById('editorPanel');
+const editorProps = document.getElementById('editorProps');
+const editorHint = document.getElementById('editorHint');
+
+function snapToGrid(value) {
+  return editor.snap ? Math.round(value / editor.grid) * editor.grid : value;
+}
+
+// --- Snapshots and undo ---
+function buildingKey(b) {
+  return `${b.x},${b.z},${b.w},${b.d},${b.h},${b.textureSeed}`;
+}
+
+function captureWorld() {
+  return {
+    buildings: buildings.map(({ x, z, w, d, h, textureSeed }) => ({ x, z, w, d, h, textureSeed })),
+    stairs: stairs.map(({ startX, startZ, endX, endZ, startHeight, endHeight, width }) =>
+      ({ startX, startZ, endX, endZ, startHeight, endHeight, width })),
+    bridges: bridges.map(({ start, end, width }) => ({ start: start.clone(), end: end.clone(), width })),
+    // Models are kept by reference (not disposed on delete) so undo can put them back
+    assets: importedAssets.map(({ url, model }) => ({
+      url,
+      model,
+      position: model.position.clone(),
+      rotation: model.rotation.clone(),
+      scale: model.scale.clone()
+    })),
+    targetSpawns: JSON.parse(JSON.stringify(targetSpawnVolumes)),
+    playerSpawn: { position: playerSpawn.position.clone(), yaw: playerSpawn.yaw }
+  };
+}
+
+function restoreWorld(snapshot) {
+  // Buildings that did not change keep their mesh, so undo does not
+  // regenerate every facade texture
+  const spare = new Map();
+  for (const b of buildings) {
+    const key = buildingKey(b);
+    if (!spare.has(key)) spare.set(key, []);
+    spare.get(key).push(b);
+  }
+  buildings.length = 0;
+  for (const b of snapshot.buildings) {
+    const reuse = spare.get(buildingKey(b));
+    if (reuse && reuse.length) buildings.push(reuse.pop());
+    else addBuilding(b.x, b.z, b.w, b.d, b.h, b.textureSeed);
+  }
+  spare.forEach((list) => list.forEach((b) => removeFromWorld(b.mesh)));
+
+  stairs.forEach((st) => st.meshes.forEach(removeFromWorld));
+  stairs.length = 0;
+  for (const st of snapshot.stairs) {
+    addStairs(st.startX, st.startZ, st.endX, st.endZ, st.startHeight, st.endHeight, st.width);
+  }
+  bridges.forEach((br) => removeFromWorld(br.mesh));
+  bridges.length = 0;
+  for (const br of snapshot.bridges) {
+    addBridge(br.start.clone(), br.end.clone(), br.width);
+  }
+
+  importedAssets.forEach(({ model }) => scene.remove(model));
+  importedAssets.length = 0;
+  for (const { url, model, position, rotation, scale } of snapshot.assets) {
+    model.position.copy(position);
+    model.rotation.copy(rotation);
+    model.scale.copy(scale);
+    scene.add(model);
+    importedAssets.push({ url, model });
+  }
+
+  targetSpawnVolumes = JSON.parse(JSON.stringify(snapshot.targetSpawns));
+  playerSpawn.position.copy(snapshot.playerSpawn.position);
+  playerSpawn.yaw = snapshot.playerSpawn.yaw;
+  refreshWorldMeshes();
+}
+
+// Deleted models live on only in snapshots. Dispose the ones the dropped
+// snapshots held that neither the world nor the remaining history still use.
+function releaseSnapshots(dropped) {
+  const kept = new Set(importedAssets.map(({ model }) => model));
+  for (const snapshot of [...editor.undo, ...editor.redo]) {
+    snapshot.assets.forEach(({ model }) => kept.add(model));
+  }
+  for (const snapshot of dropped) {
+    for (const { model } of snapshot.assets) {
+      if (kept.has(model)) continue;
+      kept.add(model);
+      disposeObject(model);
+    }
+  }
+}
+
+function pushUndo(snapshot) {
+  const dropped = editor.redo.splice(0);
+  editor.undo.push(snapshot);
+  if (editor.undo.length > EDITOR_UNDO_LIMIT) dropped.push(editor.undo.shift());
+  releaseSnapshots(dropped);
+}
+
+// Run one edit as a single undo step
+function editorCommit(mutator) {
+  const before = captureWorld();
+  mutator();
+  pushUndo(before);
+  refreshWorldMeshes();
+  refreshEditorHelpers();
+}
+
+function editorUndo() {
+  const snapshot = editor.undo.pop();
+  if (!snapshot) return;
+  editor.redo.push(captureWorld());
+  restoreWorld(snapshot);
+  editorSelect(null);
+}
+
+function editorRedo() {
+  const snapshot = editor.redo.pop();
+  if (!snapshot) return;
+  editor.undo.push(captureWorld());
+  restoreWorld(snapshot);
+  editorSelect(null);
+}
+
+// Called once a level has replaced the world, so every model the old
+// snapshots point at can go
+function resetEditorHistory() {
+  releaseSnapshots([...editor.undo.splice(0), ...editor.redo.splice(0)]);
+  editor.enteredAt = null;
+  editor.pendingPoint = null;
+  if (editor.active) targetSpawnVolumes = JSON.parse(JSON.stringify(targetSpawnVolumes));
+  editorSelect(null);
+}
+
+// --- Editing operations ---
+function editorAnchor({ kind, item }) {
+  switch (kind) {
+    case 'building': return { x: item.x, z: item.z };
+    case 'stairs': return { x: item.startX, z: item.startZ };
+    case 'bridge': return { x: item.start.x, z: item.start.z };
+    case 'asset': return { x: item.model.position.x, z: item.model.position.z };
+    case 'zone': return item.type === 'box'
+      ? { x: item.min[0], z: item.min[2] }
+      : { x: item.center[0], z: item.center[1] };
+    default: return { x: playerSpawn.position.x, z: playerSpawn.position.z };
+  }
+}
+
+function editorTranslate({ kind, item }, dx, dz) {
+  const offset = new THREE.Vector3(dx, 0, dz);
+  switch (kind) {
+    case 'building':
+      item.x += dx;
+      item.z += dz;
+      item.position.add(offset);
+      item.mesh.position.add(offset);
+      break;
+    case 'stairs':
+      item.startX += dx;
+      item.endX += dx;
+      item.startZ += dz;
+      item.endZ += dz;
+      item.meshes.forEach((mesh) => mesh.position.add(offset));
+      break;
+    case 'bridge':
+      item.start.add(offset);
+      item.end.add(offset);
+      item.mesh.position.add(offset);
+      break;
+    case 'asset':
+      item.model.position.add(offset);
+      break;
+    case 'zone':
+      if (item.type === 'box') {
+        item.min[0] += dx;
+        item.max[0] += dx;
+        item.min[2] += dz;
+        item.max[2] += dz;
+      } else {
+        item.center[0] += dx;
+        item.center[1] += dz;
+      }
+      break;
+    default:
+      playerSpawn.position.add(offset);
+  }
+}
+
+function resizeBuilding(building, w, d, h) {
+  Object.assign(building, { w, d, h });
+  building.position.y = h / 2;
+  building.mesh.geometry.dispose();
+  building.mesh.geometry = new THREE.BoxGeometry(w, h, d);
+  building.mesh.position.y = h / 2;
+}
+
+// Stairs and bridges are regenerated in place so they keep their list order
+function rebuildStairs(st, changes) {
+  const next = { ...st, ...changes };
+  const index = stairs.indexOf(st);
+  st.meshes.forEach(removeFromWorld);
+  const created = addStairs(next.startX, next.startZ, next.endX, next.endZ,
+    next.startHeight, next.endHeight, next.width);
+  stairs.pop();
+  stairs.splice(index, 1, created);
+  return created;
+}
+
+function rebuildBridge(br, changes) {
+  const next = { ...br, ...changes };
+  const index = bridges.indexOf(br);
+  removeFromWorld(br.mesh);
+  const created = addBridge(next.start, next.end, next.width);
+  bridges.pop();
+  bridges.splice(index, 1, created);
+  return created;
+}
+
+function editorDelete() {
+  const selection = editor.selection;
+  if (!selection || selection.kind === 'spawn') return;
+  const { kind, item } = selection;
+  editorCommit(() => {
+    if (kind === 'building') {
+      removeFromWorld(item.mesh);
+      buildings.splice(buildings.indexOf(item), 1);
+    } else if (kind === 'stairs') {
+      item.meshes.forEach(removeFromWorld);
+      stairs.splice(stairs.indexOf(item), 1);
+    } else if (kind === 'bridge') {
+      removeFromWorld(item.mesh);
+      bridges.splice(bridges.indexOf(item), 1);
+    } else if (kind === 'asset') {
+      scene.remove(item.model);
+      importedAssets.splice(importedAssets.indexOf(item), 1);
+    } else if (kind === 'zone') {
+      targetSpawnVolumes.splice(targetSpawnVolumes.indexOf(item), 1);
+    }
+    editor.selection = null;
+  });
+  renderEditorProps();
+}
+
+// --- Helpers: zones, spawn marker, selection box ---
+const editorHelperMaterials = {
+  zone: new THREE.MeshBasicMaterial({
+    color: 0xffaa00, transparent: true, opacity: 0.15, depthWrite: false, side: THREE.DoubleSide
+  }),
+  spawn: new THREE.MeshBasicMaterial({ color: 0x33ff66, transparent: true, opacity: 0.6 }),
+  pending: new THREE.MeshBasicMaterial({ color: 0x88ccff })
+};
+const sharedHelperMaterials = Object.values(editorHelperMaterials);
+
+function clearEditorHelpers() {
+  for (const child of [...editor.helpers.children]) {
+    editor.helpers.remove(child);
+    child.traverse((obj) => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material && !sharedHelperMaterials.includes(obj.material)) obj.material.dispose();
+    });
+  }
+}
 
-function shootPaintball() {
-  const color = new THREE.Color().setHSL(Math.random(), 0.8, 0.5);
-  const ballGeo = new THREE.SphereGeometry(0.15, 8, 8);
-  const ballMat = new THREE.MeshStandardMaterial({ color });
-  const ball = new THREE.Mesh(ballGeo, ballMat);
-  ball.castShadow = true;
-
-  // Use camera direction for shooting
-  const dir = new THREE.Vector3();
-  camera.getWorldDirection(dir);
-  dir.normalize();
+function zoneHelper(volume) {
+  let mesh;
+  if (volume.type === 'box') {
+    const size = new THREE.Vector3().fromArray(volume.max).sub(new THREE.Vector3().fromArray(volume.min));
+    mesh = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z), editorHelperMaterials.zone);
+    mesh.position.fromArray(volume.min).addScaledVector(size, 0.5);
+  } else {
+    // Rings are drawn as a flat band at mid height
+    mesh = new THREE.Mesh(
+      new THREE.RingGeometry(volume.innerRadius, volume.outerRadius, 64),
+      editorHelperMaterials.zone
+    );
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.set(volume.center[0], (volume.minY + volume.maxY) / 2, volume.center[1]);
+  }
+  mesh.userData.editorRef = { kind: 'zone', item: volume };
+  return mesh;
+}
 
-  // Start from player position + offset for "gun"
-  const start = player.mesh.position.clone().add(new THREE.Vector3(0, playerHeight * 0.7, 0));
-  // Offset slightly right to match gun hand if possible, or just center
-  const right = new THREE.Vector3().crossVectors(camera.up, dir).normalize(); // Actually this is left? No cross(up, dir) depends. 
-  // standard: forward x up = right? No. 
-  // Let's just use simple offset based on yaw
-  const gunOffset = new THREE.Vector3(
-      Math.sin(player.yaw - 0.5), 0, Math.cos(player.yaw - 0.5)
-  ).multiplyScalar(0.5);
-  
-  // Just use camera center for gameplay feel
-  start.add(dir.clone().multiplyScalar(1.0));
-  
-  ball.position.copy(start);
-  scene.add(ball);
-
-  paintballs.push({
-    mesh: ball,
-    velocity: dir.multiplyScalar(40), // Faster
-    color: color.clone(),
-    life: 3 // seconds
-  });
-  
-  // Trigger recoil
-  player.recoil = 1.0;
+function selectionBox({ kind, item }) {
+  const box = new THREE.Box3();
+  if (kind === 'building' || kind === 'bridge') box.setFromObject(item.mesh);
+  else if (kind === 'stairs') item.meshes.forEach((mesh) => box.expandByObject(mesh));
+  else if (kind === 'asset') box.setFromObject(item.model);
+  else {
+    const helper = editor.helpers.children.find((child) => child.userData.editorRef
+      && child.userData.editorRef.item === item);
+    if (helper) box.setFromObject(helper);
+  }
+  return box;
 }
 
-// ----- Geometry import (Keep existing functionality) -----
-const fileInput = document.getElementById("fileInput");
-const loader = new GLTFLoader();
+function refreshEditorHelpers() {
+  clearEditorHelpers();
+  targetSpawnVolumes.forEach((volume) => editor.helpers.add(zoneHelper(volume)));
 
-if (fileInput) {
-  fileInput.addEventListener("change", (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-    const url = URL.createObjectURL(file);
-    loader.load(url, (gltf) => {
-      const model = gltf.scene;
-      model.traverse((obj) => {
-        if (obj.isMesh) {
-          obj.castShadow = true;
-          obj.receiveShadow = true;
-          buildingMeshes.push(obj);
-        }
+  const spawn = new THREE.Mesh(new THREE.CylinderGeometry(playerRadius, playerRadius, playerHeight, 12),
+    editorHelperMaterials.spawn);
+  spawn.position.copy(playerSpawn.position).add(new THREE.Vector3(0, playerHeight / 2, 0));
+  spawn.userData.editorRef = { kind: 'spawn', item: playerSpawn };
+  spawn.add(new THREE.ArrowHelper(
+    new THREE.Vector3(-Math.sin(playerSpawn.yaw), 0, -Math.cos(playerSpawn.yaw)),
+    new THREE.Vector3(0, playerHeight / 2, 0), 2, 0x33ff66
+  ));
+  editor.helpers.add(spawn);
+
+  if (editor.pendingPoint) {
+    const marker = new THREE.Mesh(new THREE.SphereGeometry(0.3, 12, 8), editorHelperMaterials.pending);
+    marker.position.copy(editor.pendingPoint);
+    editor.helpers.add(marker);
+  }
+  if (editor.zoneDraw) {
+    editor.helpers.add(zoneHelper(editorZoneVolume(editor.zoneDraw.start, editor.zoneDraw.end)));
+  }
+  if (editor.selection) {
+    editor.helpers.add(new THREE.Box3Helper(selectionBox(editor.selection), 0xffff00));
+  }
+}
+
+// --- Selection and properties panel ---
+// A field's `set` returns the replacement object when it has to rebuild the item
+const editorFields = {
+  building: [
+    { label: 'X', get: (b) => b.x, set: (b, v) => editorTranslate({ kind: 'building', item: b }, v - b.x, 0) },
+    { label: 'Z', get: (b) => b.z, set: (b, v) => editorTranslate({ kind: 'building', item: b }, 0, v - b.z) },
+    { label: 'Width', min: 1, get: (b) => b.w, set: (b, v) => resizeBuilding(b, v, b.d, b.h) },
+    { label: 'Depth', min: 1, get: (b) => b.d, set: (b, v) => resizeBuilding(b, b.w, v, b.h) },
+    { label: 'Height', min: 1, get: (b) => b.h, set: (b, v) => resizeBuilding(b, b.w, b.d, v) }
+  ],
+  stairs: [
+    { label: 'Width', min: 0.5, get: (st) => st.width, set: (st, v) => rebuildStairs(st, { width: v }) },
+    { label: 'Bottom', get: (st) => st.startHeight, set: (st, v) => rebuildStairs(st, { startHeight: v }) },
+    { label: 'Top', get: (st) => st.endHeight, set: (st, v) => rebuildStairs(st, { endHeight: v }) }
+  ],
+  bridge: [
+    { label: 'Width', min: 0.5, get: (br) => br.width, set: (br, v) => rebuildBridge(br, { width: v }) }
+  ],
+  asset: [
+    { label: 'X', get: (a) => a.model.position.x, set: (a, v) => { a.model.position.x = v; } },
+    { label: 'Y', get: (a) => a.model.position.y, set: (a, v) => { a.model.position.y = v; } },
+    { label: 'Z', get: (a) => a.model.position.z, set: (a, v) => { a.model.position.z = v; } },
+    { label: 'Rotation', step: 15, get: (a) => THREE.MathUtils.radToDeg(a.model.rotation.y),
+      set: (a, v) => { a.model.rotation.y = THREE.MathUtils.degToRad(v); } },
+    { label: 'Scale', min: 0.01, step: 0.1, get: (a) => a.model.scale.x, set: (a, v) => { a.model.scale.setScalar(v); } }
+  ],
+  box: [
+    { label: 'Bottom', get: (z) => z.min[1], set: (z, v) => { z.min[1] = Math.min(v, z.max[1]); } },
+    { label: 'Top', get: (z) => z.max[1], set: (z, v) => { z.max[1] = Math.max(v, z.min[1]); } }
+  ],
+  ring: [
+    { label: 'Inner radius', min: 0, get: (z) => z.innerRadius, set: (z, v) => { z.innerRadius = Math.min(v, z.outerRadius); } },
+    { label: 'Outer radius', min: 1, get: (z) => z.outerRadius, set: (z, v) => { z.outerRadius = Math.max(v, z.innerRadius); } },
+    { label: 'Bottom', get: (z) => z.minY, set: (z, v) => { z.minY = Math.min(v, z.maxY); } },
+    { label: 'Top', get: (z) => z.maxY, set: (z, v) => { z.maxY = Math.max(v, z.minY); } }
+  ],
+  spawn: [
+    { label: 'Facing', step: 15, get: (s) => THREE.MathUtils.radToDeg(s.yaw),
+      set: (s, v) => { s.yaw = THREE.MathUtils.degToRad(v); } }
+  ]
+};
+
+function renderEditorProps() {
+  if (!editorProps) return;
+  editorProps.innerHTML = '';
+  const selection = editor.selection;
+  if (!selection) return;
+  const { kind, item } = selection;
+
+  const title = document.createElement('span');
+  title.className = 'editor-props-title';
+  title.textContent = kind === 'asset' ? item.url : kind;
+  editorProps.appendChild(title);
+
+  const fields = editorFields[kind === 'zone' ? item.type || 'ring' : kind];
+  for (const field of fields) {
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = field.step || editor.grid;
+    if (field.min !== undefined) input.min = field.min;
+    input.value = round2(field.get(editor.selection.item));
+    input.addEventListener('change', () => {
+      let value = parseFloat(input.value);
+      if (!Number.isFinite(value)) return;
+      if (field.min !== undefined) value = Math.max(field.min, value);
+      editorCommit(() => {
+        const rebuilt = field.set(editor.selection.item, value);
+        if (rebuilt) editor.selection.item = rebuilt;
       });
-      model.position.set(0, 0, 0);
-      scene.add(model);
-      URL.revokeObjectURL(url);
+      renderEditorProps();
     });
+    editorProps.append(label, input);
+  }
+}
+
+function editorSelect(selection) {
+  editor.selection = selection;
+  renderEditorProps();
+  if (editor.active) refreshEditorHelpers();
+}
+
+const editorToolHints = {
+  select: 'Click to select, drag to move.',
+  building: 'Click the ground to place a building.',
+  stairs: 'Click the bottom, then the top of the stairs.',
+  bridge: 'Click two rooftops to bridge them.',
+  zone: 'Drag on the ground to mark a target spawn zone.',
+  spawn: 'Click to set where the player spawns.'
+};
+
+function setEditorTool(tool) {
+  editor.tool = tool;
+  editor.pendingPoint = null;
+  editor.zoneDraw = null;
+  document.querySelectorAll('.editor-tools button').forEach((button) => {
+    button.classList.toggle('active', button.dataset.tool === tool);
   });
+  if (editorHint) editorHint.textContent = editorToolHints[tool];
+  if (editor.active) refreshEditorHelpers();
 }
 
-// ----- Game loop -----
-const clock = new THREE.Clock();
+// --- Picking ---
+function setEditorPointer(e) {
+  const rect = canvas.getBoundingClientRect();
+  editorPointer.set(
+    ((e.clientX - rect.left) / rect.width) * 2 - 1,
+    -((e.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  editorRaycaster.setFromCamera(editorPointer, camera);
+}
 
-// Initialize UI
-updateScoreDisplay();
-const vignetteEl = document.getElementById('vignette');
-if (vignetteEl) vignetteEl.className = 'focused';
+function findEditorRef(object) {
+  for (let obj = object; obj; obj = obj.parent) {
+    if (obj.userData.editorRef) return obj.userData.editorRef;
+    const asset = importedAssets.find((a) => a.model === obj);
+    if (asset) return { kind: 'asset', item: asset };
+    const building = buildings.find((b) => b.mesh === obj);
+    if (building) return { kind: 'building', item: building };
+    const flight = stairs.find((st) => st.meshes.includes(obj));
+    if (flight) return { kind: 'stairs', item: flight };
+    const bridge = bridges.find((br) => br.mesh === obj);
+    if (bridge) return { kind: 'bridge', item: bridge };
+  }
+  return null;
+}
 
-function update(delta) {
-  if (mixer) mixer.update(delta);
+function editorPick() {
+  const candidates = [...buildingMeshes, ...editor.helpers.children.filter((c) => c.userData.editorRef)];
+  for (const hit of editorRaycaster.intersectObjects(candidates, false)) {
+    const ref = findEditorRef(hit.object);
+    if (ref) return { ref, point: hit.point };
+  }
+  return null;
+}
 
-  // Update mouse look
-  if (isPointerLocked) {
-    const sensitivity = 0.002;
-    player.yaw -= mouseDeltaX * sensitivity;
-    player.pitch -= mouseDeltaY * sensitivity;
-    player.pitch = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, player.pitch));
-    mouseDeltaX = 0;
-    mouseDeltaY = 0;
+// First world surface under the cursor (rooftops, stairs, ground)
+function editorSurfacePoint() {
+  const hit = worldRaycast(editorRaycaster.ray);
+  return hit ? hit.point : null;
+}
+
+function editorPlanePoint(height) {
+  const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -height);
+  return editorRaycaster.ray.intersectPlane(plane, new THREE.Vector3());
+}
+
+// Point a few metres in front of the editor camera, on the ground
+function editorViewPoint() {
+  const forward = new THREE.Vector3();
+  camera.getWorldDirection(forward);
+  const point = editor.position.clone().addScaledVector(forward, 15);
+  return new THREE.Vector3(snapToGrid(point.x), 0, snapToGrid(point.z));
+}
+
+function editorZoneVolume(a, b) {
+  return {
+    type: 'box',
+    min: [Math.min(a.x, b.x), EDITOR_ZONE_HEIGHT[0], Math.min(a.z, b.z)],
+    max: [Math.max(a.x, b.x), EDITOR_ZONE_HEIGHT[1], Math.max(a.z, b.z)]
+  };
+}
+
+// --- Mouse ---
+function editorMouseDown(e) {
+  if (e.button === 2) {
+    editor.looking = true;
+    return;
   }
+  if (e.button !== 0) return;
+  setEditorPointer(e);
 
-  // Movement
-  const moveSpeed = 10;
-  const move = new THREE.Vector3(0, 0, 0);
+  if (editor.tool === 'select') {
+    const picked = editorPick();
+    editorSelect(picked ? picked.ref : null);
+    if (picked) {
+      editor.drag = {
+        before: captureWorld(),
+        height: picked.point.y,
+        origin: picked.point.clone(),
+        anchor: editorAnchor(picked.ref),
+        applied: { x: 0, z: 0 }
+      };
+    }
+  } else if (editor.tool === 'building') {
+    const point = editorPlanePoint(0);
+    if (!point) return;
+    const { w, d, h } = EDITOR_BUILDING_SIZE;
+    editorCommit(() => {
+      const building = addBuilding(snapToGrid(point.x), snapToGrid(point.z), w, d, h);
+      editor.selection = { kind: 'building', item: building };
+    });
+    renderEditorProps();
+  } else if (editor.tool === 'stairs' || editor.tool === 'bridge') {
+    const point = editorSurfacePoint();
+    if (!point) return;
+    point.x = snapToGrid(point.x);
+    point.z = snapToGrid(point.z);
+    if (!editor.pendingPoint) {
+      editor.pendingPoint = point;
+      refreshEditorHelpers();
+      return;
+    }
+    const start = editor.pendingPoint;
+    editor.pendingPoint = null;
+    if (Math.hypot(point.x - start.x, point.z - start.z) < 1) {
+      refreshEditorHelpers();
+      return;
+    }
+    editorCommit(() => {
+      if (editor.tool === 'stairs') {
+        // Always climb from the lower end
+        const [low, high] = start.y <= point.y ? [start, point] : [point, start];
+        const flight = addStairs(low.x, low.z, high.x, high.z, low.y, high.y);
+        editor.selection = { kind: 'stairs', item: flight };
+      } else {
+        // Rest the deck on the surfaces that were clicked
+        const lift = new THREE.Vector3(0, 0.1, 0);
+        const bridge = addBridge(start.clone().add(lift), point.clone().add(lift));
+        editor.selection = { kind: 'bridge', item: bridge };
+      }
+    });
+    renderEditorProps();
+  } else if (editor.tool === 'zone') {
+    const point = editorPlanePoint(0);
+    if (!point) return;
+    point.set(snapToGrid(point.x), 0, snapToGrid(point.z));
+    editor.zoneDraw = { start: point, end: point.clone() };
+  } else if (editor.tool === 'spawn') {
+    const point = editorSurfacePoint();
+    if (!point) return;
+    editorCommit(() => {
+      playerSpawn.position.set(snapToGrid(point.x), point.y, snapToGrid(point.z));
+      editor.selection = { kind: 'spawn', item: playerSpawn };
+    });
+    renderEditorProps();
+  }
+}
 
-  if (keys["KeyW"]) move.z -= 1;
-  if (keys["KeyS"]) move.z += 1;
-  if (keys["KeyA"]) move.x -= 1;
-  if (keys["KeyD"]) move.x += 1;
+function editorMouseMove(e) {
+  if (editor.looking) {
+    editor.yaw -= e.movementX * 0.003;
+    editor.pitch -= e.movementY * 0.003;
+    editor.pitch = Math.max(-Math.PI / 2 + 0.05, Math.min(Math.PI / 2 - 0.05, editor.pitch));
+    return;
+  }
+  if (!editor.drag && !editor.zoneDraw) return;
+  setEditorPointer(e);
 
-  if (move.lengthSq() > 0) {
-    move.normalize();
-    // Rotate movement by player yaw
-    const sin = Math.sin(player.yaw);
-    const cos = Math.cos(player.yaw);
-    
-    // Standard WASD is relative to camera view
-    const worldMove = new THREE.Vector3(
-      move.x * cos - move.z * sin,
-      0,
-      move.x * sin + move.z * cos
-    );
-    player.velocity.x = worldMove.x * moveSpeed;
-    player.velocity.z = worldMove.z * moveSpeed;
-    
-    // Face movement direction
-    if (player.animations && player.animations.run) {
-        if (player.currentAction !== 'run') {
-             if (player.animations.idle) player.animations.idle.stop();
-             player.animations.run.play();
-             player.currentAction = 'run';
-        }
+  if (editor.zoneDraw) {
+    const point = editorPlanePoint(0);
+    if (!point) return;
+    editor.zoneDraw.end.set(snapToGrid(point.x), 0, snapToGrid(point.z));
+    refreshEditorHelpers();
+    return;
+  }
+
+  const { drag } = editor;
+  const point = editorPlanePoint(drag.height);
+  if (!point) return;
+  // Snap the dragged item's anchor, not the cursor, so it lands on the grid
+  const x = snapToGrid(drag.anchor.x + point.x - drag.origin.x);
+  const z = snapToGrid(drag.anchor.z + point.z - drag.origin.z);
+  const dx = x - (drag.anchor.x + drag.applied.x);
+  const dz = z - (drag.anchor.z + drag.applied.z);
+  if (dx === 0 && dz === 0) return;
+  editorTranslate(editor.selection, dx, dz);
+  drag.applied.x += dx;
+  drag.applied.z += dz;
+  drag.moved = true;
+  refreshEditorHelpers();
+}
+
+function editorMouseUp(e) {
+  if (e.button === 2) {
+    editor.looking = false;
+    return;
+  }
+  if (e.button !== 0) return;
+  if (editor.drag) {
+    const { drag } = editor;
+    editor.drag = null;
+    if (drag.moved) {
+      // Collision is only rebuilt once the item is dropped
+      pushUndo(drag.before);
+      refreshWorldMeshes();
+      renderEditorProps();
+    }
+  }
+  if (editor.zoneDraw) {
+    const { start, end } = editor.zoneDraw;
+    editor.zoneDraw = null;
+    if (Math.abs(end.x - start.x) >= 1 && Math.abs(end.z - start.z) >= 1) {
+      editorCommit(() => {
+        // A fresh copy, so the built-in default ring is never edited
+        targetSpawnVolumes = [...targetSpawnVolumes, editorZoneVolume(start, end)];
+        const volume = targetSpawnVolumes[targetSpawnVolumes.length - 1];
+        editor.selection = { kind: 'zone', item: volume };
+      });
+      renderEditorProps();
+    } else {
+      refreshEditorHelpers();
     }
+  }
+}
+
+canvas.addEventListener('mousedown', (e) => {
+  if (editor.active) editorMouseDown(e);
+});
+window.addEventListener('mousemove', (e) => {
+  if (editor.active) editorMouseMove(e);
+});
+window.addEventListener('mouseup', (e) => {
+  if (editor.active) editorMouseUp(e);
+});
+
+window.addEventListener('keydown', (e) => {
+  if (!editor.active || e.target instanceof HTMLInputElement) return;
+  if ((e.ctrlKey || e.metaKey) && e.code === 'KeyZ') {
+    e.preventDefault();
+    if (e.shiftKey) editorRedo();
+    else editorUndo();
+  } else if ((e.ctrlKey || e.metaKey) && e.code === 'KeyY') {
+    e.preventDefault();
+    editorRedo();
+  } else if (e.code === 'Delete' || e.code === 'Backspace') {
+    editorDelete();
+  } else if (e.code === 'Escape') {
+    editor.pendingPoint = null;
+    editorSelect(null);
+  }
+});
+
+// --- Mode switching ---
+function setEditorActive(active) {
+  if (editor.active === active) return;
+  editor.active = active;
+  if (editorPanel) editorPanel.hidden = !active;
+  editor.helpers.visible = active;
+  editor.looking = false;
+  editor.drag = null;
+  editor.zoneDraw = null;
+  editor.pendingPoint = null;
+
+  if (active) {
+    setPaused(false);
+    releasePointer();
+    // Decals do not follow moved geometry, so start from clean walls
+    clearPaint();
+    // Editing always works on a private copy of the spawn volumes
+    targetSpawnVolumes = JSON.parse(JSON.stringify(targetSpawnVolumes));
+    editor.position.copy(camera.position);
+    editor.yaw = player.yaw;
+    editor.pitch = player.pitch;
+    editor.enteredAt = editor.undo[editor.undo.length - 1] || null;
+    setEditorTool(editor.tool);
+    refreshEditorHelpers();
+    logEvent('editor', { mode: 'open' });
   } else {
-    player.velocity.x = 0;
-    player.velocity.z = 0;
-    
-    if (player.animations && player.animations.idle) {
-        if (player.currentAction !== 'idle') {
-             if (player.animations.run) player.animations.run.stop();
-             player.animations.idle.play();
-             player.currentAction = 'idle';
-        }
+    clearEditorHelpers();
+    editorSelect(null);
+    // New or moved spawn zones take effect right away
+    if ((editor.undo[editor.undo.length - 1] || null) !== editor.enteredAt) {
+      respawnTargets();
+      respawnBots();
     }
+    logEvent('editor', { mode: 'close' });
   }
+}
 
-  // Jump
-  if (keys["Space"] && player.onGround) {
-    player.velocity.y = 12;
-    player.onGround = false;
+function updateEditor(delta) {
+  flyCamera(editor, EDITOR_FLY_SPEED, delta);
+  if (Math.abs(camera.fov - focusFov) > 0.01) {
+    camera.fov = focusFov;
+    camera.updateProjectionMatrix();
   }
+}
+
+const editorToggleButton = document.getElementById('editorToggle');
+if (editorToggleButton) {
+  editorToggleButton.addEventListener('click', () => setEditorActive(!editor.active));
+}
+const editorExitButton = document.getElementById('editorExit');
+if (editorExitButton) {
+  editorExitButton.addEventListener('click', () => setEditorActive(false));
+}
+document.querySelectorAll('.editor-tools button').forEach((button) => {
+  button.addEventListener('click', () => setEditorTool(button.dataset.tool));
+});
 
-  // Gravity
-  const gravity = -30;
-  player.velocity.y += gravity * delta;
+const editorGridInput = document.getElementById('editorGrid');
+if (editorGridInput) {
+  editorGridInput.addEventListener('change', () => {
+    const grid = parseFloat(editorGridInput.value);
+    if (grid > 0) editor.grid = grid;
+    renderEditorProps();
+  });
+}
+const editorSnapInput = document.getElementById('editorSnap');
+if (editorSnapInput) {
+  editorSnapInput.addEventListener('change', () => {
+    editor.snap = editorSnapInput.checked;
+  });
+}
 
-  // Integrate position
-  const pos = player.mesh.position;
-  pos.x += player.velocity.x * delta;
-  pos.y += player.velocity.y * delta;
-  pos.z += player.velocity.z * delta;
-
-  // Ground collision
-  const minY = 0; // Model pivot is usually at feet
-  if (pos.y < minY) {
-    pos.y = minY;
-    player.velocity.y = 0;
-    player.onGround = true;
+for (const [id, action] of [['editorUndo', editorUndo], ['editorRedo', editorRedo], ['editorDelete', editorDelete]]) {
+  const button = document.getElementById(id);
+  if (button) button.addEventListener('click', action);
+}
+
+// ----- Pause Menu -----
+// Losing the mouse with ESC (or by switching windows) pauses the game and
+// opens the menu with the settings panel. Play stays frozen until the mouse
+// is locked again, except in multiplayer where the match goes on. Pointer
+// lock the game gives up itself (rounds ending, the editor, calibration)
+// goes through releasePointer() and does not pause.
+const pauseMenu = document.getElementById('pauseMenu');
+let paused = false;
+let pausedAt = 0;
+let releasingPointer = false;
+
+function releasePointer() {
+  if (document.pointerLockElement) releasingPointer = true;
+  document.exitPointerLock();
+}
+
+function setPaused(value) {
+  if (paused === value) return;
+  paused = value;
+  pausedAt = performance.now();
+  if (pauseMenu) pauseMenu.hidden = !paused;
+  if (!paused) cancelRebinding();
+  logEvent(paused ? 'pause' : 'resume', {});
+}
+
+function onPointerLockChange() {
+  if (isPointerLocked) setPaused(false);
+  else if (!releasingPointer && !editor.active && !calibration.active) setPaused(true);
+  releasingPointer = false;
+}
+
+// The pause action. With the mouse locked, releasing it opens the menu (see
+// above); otherwise the menu toggles, so keyboard and gamepad players can
+// resume without a click. The ESC that unlocked the mouse can arrive just
+// after the unlock, and must not close the menu again.
+function togglePause() {
+  if (editor.active || calibration.active) return;
+  if (isPointerLocked) document.exitPointerLock();
+  else if (!paused) setPaused(true);
+  else if (performance.now() - pausedAt > 300) setPaused(false);
+}
+
+const settingControls = {}; // key -> { input, value }
+
+function showSetting(key) {
+  const control = settingControls[key];
+  if (!control) return;
+  control.input.value = settings[key];
+  control.value.textContent = settingDefinitions[key].format(settings[key]);
+}
+
+// One row per setting: a slider, or a dropdown for fixed options
+function buildSettingsPanel() {
+  const list = document.getElementById('settingsList');
+  if (!list) return;
+  for (const [key, definition] of Object.entries(settingDefinitions)) {
+    const row = document.createElement('label');
+    row.className = 'setting-row';
+    const name = document.createElement('span');
+    name.textContent = definition.label;
+    let input;
+    if (definition.options) {
+      input = document.createElement('select');
+      for (const option of definition.options) input.add(new Option(definition.format(option), option));
+    } else {
+      input = document.createElement('input');
+      input.type = 'range';
+      input.min = definition.min;
+      input.max = definition.max;
+      input.step = definition.step;
+    }
+    const value = document.createElement('span');
+    value.className = 'setting-value';
+    input.addEventListener('input', () => {
+      setSetting(key, Number(input.value));
+      showSetting(key);
+    });
+    row.append(name, input, value);
+    list.appendChild(row);
+    settingControls[key] = { input, value };
+    showSetting(key);
+  }
+}
+
+function resetSettings() {
+  for (const [key, definition] of Object.entries(settingDefinitions)) {
+    setSetting(key, definition.default);
+    showSetting(key);
+  }
+}
+
+buildSettingsPanel();
+
+// --- Controls ---
+// One row per action with its binding; click it, then press the new key, or
+// click it again with the new mouse button. ESC or a click anywhere else
+// cancels. Gamepad buttons are shown but fixed.
+const controlButtons = {}; // action name -> binding button
+let rebinding = null; // action name waiting for a key
+let boundByClick = false; // the left click that bound must not start a new rebind
+
+function showBindings() {
+  for (const [name, button] of Object.entries(controlButtons)) {
+    const codes = inputActions[name].keys;
+    button.textContent = name === rebinding ? 'Press a key…' : codes.map(bindingLabel).join(' / ') || 'unbound';
+    button.classList.toggle('rebinding', name === rebinding);
+  }
+}
+
+function cancelRebinding() {
+  if (!rebinding) return;
+  rebinding = null;
+  showBindings();
+}
+
+// Called with every key and mouse button press (with the element clicked);
+// true when it was taken as a new binding. Mouse buttons only bind over the
+// waiting button, so clicks elsewhere still reach their own targets.
+function captureBinding(code, target = null) {
+  boundByClick = false;
+  if (!rebinding) return false;
+  if (target && target !== controlButtons[rebinding]) {
+    cancelRebinding();
+    return false;
+  }
+  if (code !== 'Escape') bindAction(rebinding, code);
+  boundByClick = code === 'Mouse0';
+  cancelRebinding();
+  return true;
+}
+
+function buildControlsPanel() {
+  const list = document.getElementById('controlsList');
+  if (!list) return;
+  for (const [name, action] of Object.entries(inputActions)) {
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+    const label = document.createElement('span');
+    label.textContent = action.label;
+    const button = document.createElement('button');
+    button.addEventListener('click', () => {
+      if (boundByClick) {
+        boundByClick = false;
+        return;
+      }
+      // Unfocused, so Space or Enter bind rather than click it again
+      button.blur();
+      rebinding = name;
+      showBindings();
+    });
+    const pad = document.createElement('span');
+    pad.className = 'setting-value';
+    pad.textContent = action.pad.map((index) => GAMEPAD_BUTTON_NAMES[index]).join(' / ');
+    row.append(label, button, pad);
+    list.appendChild(row);
+    controlButtons[name] = button;
+  }
+  showBindings();
+}
+
+buildControlsPanel();
+
+const pauseResumeButton = document.getElementById('pauseResume');
+if (pauseResumeButton) {
+  pauseResumeButton.addEventListener('click', () => {
+    setPaused(false);
+    canvas.requestPointerLock();
+  });
+}
+const settingsResetButton = document.getElementById('settingsReset');
+if (settingsResetButton) settingsResetButton.addEventListener('click', resetSettings);
+const controlsResetButton = document.getElementById('controlsReset');
+if (controlsResetButton) {
+  controlsResetButton.addEventListener('click', () => {
+    resetBindings();
+    showBindings();
+  });
+}
+
+// ----- Camera Modes -----
+// 'first' looks out of the Soldier's eyes, 'third' hangs over his right
+// shoulder and pulls in when a building gets in the way, and 'spectator'
+// flies freely (WASD, Q/E down/up, Shift to hurry) while the body stays put.
+// Shots always leave the gun towards whatever is under the crosshair, so the
+// paint lands where you aim in every mode.
+const cameraModes = {
+  first: { label: 'First person' },
+  third: { label: 'Third person' },
+  spectator: { label: 'Spectator' }
+};
+const THIRD_PERSON_OFFSET = new THREE.Vector3(0.6, 0.3, 3.2); // right, up, back from the eyes
+const CAMERA_COLLISION_MARGIN = 0.25; // kept between the camera and walls
+const CAMERA_RETURN_RATE = 6; // how quickly the camera eases back out after a wall
+const SPECTATOR_FLY_SPEED = 12;
+const AIM_RANGE = 200; // crosshair distance when nothing is under it
+
+const cameraView = {
+  mode: 'first',
+  distance: THIRD_PERSON_OFFSET.length(), // third-person pull-back, shortened by walls
+  // Spectator camera
+  position: new THREE.Vector3(),
+  yaw: 0,
+  pitch: 0
+};
+
+function setCameraMode(mode) {
+  if (!cameraModes[mode] || mode === cameraView.mode) return;
+  if (mode === 'spectator') {
+    // Take off from wherever the camera is now
+    cameraView.position.copy(camera.position);
+    cameraView.yaw = player.yaw;
+    cameraView.pitch = player.pitch;
+    setPlayerAnimation('idle');
+  }
+  cameraView.mode = mode;
+  cameraView.distance = THIRD_PERSON_OFFSET.length();
+  player.mesh.visible = true;
+  if (cameraModeSelect) cameraModeSelect.value = mode;
+  logEvent('camera_mode', { mode });
+}
+
+function cycleCameraMode() {
+  const modes = Object.keys(cameraModes);
+  setCameraMode(modes[(modes.indexOf(cameraView.mode) + 1) % modes.length]);
+}
+
+// Unit view direction for a yaw and pitch
+function viewDirection(yaw, pitch, target) {
+  return target.set(
+    -Math.sin(yaw) * Math.cos(pitch),
+    Math.sin(pitch),
+    -Math.cos(yaw) * Math.cos(pitch)
+  );
+}
+
+const _flyForward = new THREE.Vector3();
+const _flyRight = new THREE.Vector3();
+const _flyMove = new THREE.Vector3();
+const _flyIntent = new THREE.Vector3();
+
+// Free flight for `view` ({ position, yaw, pitch }): the move actions along
+// the view, fly up / down, sprint three times faster. Points the camera along it.
+function flyCamera(view, speed, delta) {
+  const forward = viewDirection(view.yaw, view.pitch, _flyForward);
+  _flyRight.set(Math.cos(view.yaw), 0, -Math.sin(view.yaw));
+  const intent = inputMove(_flyIntent);
+  const move = _flyMove.set(0, 0, 0).addScaledVector(forward, -intent.z).addScaledVector(_flyRight, intent.x);
+  move.y += Number(actionHeld('flyUp')) - Number(actionHeld('flyDown'));
+  if (move.lengthSq() > 0) {
+    const boost = actionHeld('sprint') ? 3 : 1;
+    if (move.lengthSq() > 1) move.normalize();
+    view.position.addScaledVector(move, speed * boost * delta);
+  }
+  camera.position.copy(view.position);
+  camera.lookAt(_flyMove.copy(view.position).add(forward));
+}
+
+function playerEye(target) {
+  return target.copy(player.mesh.position).setY(player.mesh.position.y + parkour.eyeHeight + parkour.bob);
+}
+
+const _cameraEye = new THREE.Vector3();
+const _cameraLook = new THREE.Vector3();
+const _cameraOffset = new THREE.Vector3();
+const _cameraRay = new THREE.Ray();
+const _cameraEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+// Over the shoulder: the offset is turned with the view, then cut short where
+// it would pass through a building
+function placeThirdPersonCamera(eye, delta) {
+  _cameraEuler.set(player.pitch, player.yaw, 0);
+  const offset = _cameraOffset.copy(THIRD_PERSON_OFFSET).applyEuler(_cameraEuler);
+  const length = offset.length();
+  offset.divideScalar(length);
+  const hit = worldRaycast(_cameraRay.set(eye, offset), length + CAMERA_COLLISION_MARGIN);
+  const free = hit ? Math.max(0, hit.distance - CAMERA_COLLISION_MARGIN) : length;
+  // Snap in at once so walls never show through; ease back out
+  if (free < cameraView.distance) cameraView.distance = free;
+  else cameraView.distance += (free - cameraView.distance) * (1 - Math.exp(-CAMERA_RETURN_RATE * delta));
+  camera.position.copy(eye).addScaledVector(offset, cameraView.distance);
+  // Hide the body once the camera has been pushed into it
+  player.mesh.visible = cameraView.distance > 1;
+}
+
+function updateCamera(delta) {
+  let fov = focusFov;
+  if (cameraView.mode === 'spectator') {
+    flyCamera(cameraView, SPECTATOR_FLY_SPEED, delta);
+  } else {
+    const eye = playerEye(_cameraEye);
+    if (cameraView.mode === 'third') placeThirdPersonCamera(eye, delta);
+    else camera.position.copy(eye);
+
+    // Add subtle camera sway as focus drops to simulate lack of focus
+    const sway = blendFocus('sway', focusLevel);
+    if (sway > 0) {
+      const time = Date.now() * 0.001;
+      camera.position.x += Math.sin(time * 0.5) * 0.02 * sway;
+      camera.position.y += Math.cos(time * 0.7) * 0.015 * sway;
+    }
+
+    const lookDir = viewDirection(player.yaw, player.pitch, _cameraLook);
+    camera.lookAt(lookDir.add(camera.position));
+    if (parkour.roll !== 0) camera.rotateZ(parkour.roll);
+    // Focus FOV plus movement kick
+    fov += parkour.fovKick + parkour.fovPunch;
   }
 
+  if (Math.abs(camera.fov - fov) > 0.01) {
+    camera.fov = fov;
+    camera.updateProjectionMatrix();
+  }
+}
+
+const _aimDir = new THREE.Vector3();
+const _aimFrom = new THREE.Vector3();
+const _aimTo = new THREE.Vector3();
+const _aimRay = new THREE.Ray();
+
+// First thing under the crosshair - a wall, target, bot or other player -
+// written to `target`; a point AIM_RANGE away when the view is clear. In
+// third person the search starts level with the player, so nothing between
+// the camera and his back gets aimed at.
+function crosshairTarget(target) {
+  camera.getWorldDirection(_aimDir);
+  let near = 0;
+  if (cameraView.mode === 'third') {
+    near = Math.max(0, playerEye(_aimFrom).sub(camera.position).dot(_aimDir));
+  }
+  _aimFrom.copy(camera.position).addScaledVector(_aimDir, near);
+  _aimTo.copy(_aimFrom).addScaledVector(_aimDir, AIM_RANGE);
+  let t = 1;
+  const wall = worldRaycast(_aimRay.set(_aimFrom, _aimDir), AIM_RANGE);
+  if (wall) t = wall.distance / AIM_RANGE;
+  for (const candidate of targets) {
+    const hit = sweepSphere(_aimFrom, _aimTo, candidate.position, candidate.hitRadius * candidate.scale);
+    if (hit !== null && hit < t) t = hit;
+  }
+  for (const bot of bots) {
+    if (!bot.alive) continue;
+    const hit = sweepCapsule(_aimFrom, _aimTo, bot.collider, 0);
+    if (hit !== null && hit < t) t = hit;
+  }
+  for (const remote of multiplayer.players.values()) {
+    if (!remote.alive || !remote.snapshots.length) continue;
+    const hit = sweepCapsule(_aimFrom, _aimTo, remote.collider, 0);
+    if (hit !== null && hit < t) t = hit;
+  }
+  return target.lerpVectors(_aimFrom, _aimTo, t);
+}
+
+const cameraModeSelect = document.getElementById('cameraMode');
+if (cameraModeSelect) {
+  for (const [name, mode] of Object.entries(cameraModes)) {
+    cameraModeSelect.add(new Option(mode.label, name, false, name === cameraView.mode));
+  }
+  cameraModeSelect.addEventListener('change', () => setCameraMode(cameraModeSelect.value));
+}
+
+// ----- Game loop -----
+const clock = new THREE.Clock();
+
+// Initialize UI
+updateScoreDisplay();
+applyFocusLevel(focusLevel);
+logEvent('focus_mode', { mode: focusMode, focus_level: round3(focusLevel) });
+
+const _lookTurn = new THREE.Vector2();
+
+function update(delta) {
+  if (mixer) mixer.update(delta);
+  advanceReplay(delta);
+  advanceCalibration(delta);
+  updateFocus(delta);
+  pollGamepad();
+
+  // The editor freezes gameplay and flies its own camera
+  if (editor.active) {
+    updateEditor(delta);
+    return;
+  }
+  // So does the pause menu, unless other players are still playing
+  if (paused && !multiplayer.connected) return;
+
+  updateRound(delta);
+  updatePlayerElimination(delta);
+
+  // Look: the mouse while the pointer is locked, plus the look keys and the
+  // right stick. The spectator camera turns on its own, leaving the body
+  // facing where it was.
+  const look = cameraView.mode === 'spectator' ? cameraView : player;
+  const turn = inputLook(_lookTurn);
+  look.yaw -= mouseDeltaX * settings.sensitivity + turn.x * settings.lookSpeed * delta;
+  look.pitch -= mouseDeltaY * settings.sensitivity + turn.y * settings.lookSpeed * delta;
+  look.pitch = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, look.pitch));
+  mouseDeltaX = 0;
+  mouseDeltaY = 0;
+
+  // Movement (relative to camera view)
+  const move = inputMove(new THREE.Vector3());
+
+  // Parkour moves, jumping and collision (just falling while eliminated or
+  // while the keys fly the spectator camera)
+  if (player.eliminated || cameraView.mode === 'spectator') movePlayer(delta);
+  else updateParkour(delta, move);
+
   // Rotate player mesh to face yaw + 180 (Soldier faces +Z, we want him to face -Z away from camera)
   player.mesh.rotation.y = player.yaw + Math.PI; 
   
@@ -873,150 +6818,54 @@ function update(delta) {
       player.recoil = 0;
   }  
 
-  // Update targets - drift and oscillate
-  for (let i = 0; i < targets.length; i++) {
-    const target = targets[i];
-    
-    // Drift movement
-    target.mesh.position.add(target.velocity.clone().multiplyScalar(delta));
-    
-    // Oscillation for more organic movement
-    target.oscillation += delta;
-    const oscillate = Math.sin(target.oscillation * 2) * 0.5;
-    target.mesh.position.y += oscillate * delta;
-    
-    // Pulsing glow effect
-    if (target.mesh.userData.materials) {
-      const pulse = (Math.sin(target.oscillation * 3) + 1) * 0.5;
-      target.mesh.userData.materials.forEach((mat, idx) => {
-        if (idx === 2) { // Bullseye pulses more
-          mat.emissiveIntensity = 0.6 + pulse * 0.4;
-        }
-      });
-    }
-    
-    // Keep targets in bounds
-    const maxDist = 50;
-    if (target.mesh.position.length() > maxDist) {
-      target.velocity.multiplyScalar(-1);
-    }
-    
-    // Keep targets above ground
-    if (target.mesh.position.y < 2) {
-      target.mesh.position.y = 2;
-      target.velocity.y = Math.abs(target.velocity.y);
-    }
-    
-    // Rotate to face camera for better visibility
-    target.mesh.lookAt(camera.position);
-  }
+  // Update targets - each type moves its own way
+  for (const target of targets) moveTarget(target, delta);
+
+  updateBots(delta);
+  updateMultiplayer(delta);
 
-  // Update paintballs with collision detection
+  // Update paintballs: integrate the flight and sweep each step for hits.
+  // Clamped like the movers, so a stalled frame can't queue up hundreds of sweeps.
+  const paintballTime = Math.min(delta, 0.1);
+  const paintballSteps = Math.max(1, Math.ceil(paintballTime / PAINTBALL_SUBSTEP));
+  const paintballDt = paintballTime / paintballSteps;
   for (let i = paintballs.length - 1; i >= 0; i--) {
     const b = paintballs[i];
-    b.life -= delta;
+    b.life -= paintballTime;
     
     if (b.life <= 0) {
-      scene.remove(b.mesh);
-      b.mesh.geometry.dispose();
-      b.mesh.material.dispose();
-      paintballs.splice(i, 1);
+      removePaintball(i);
       continue;
     }
 
-    const oldPos = b.mesh.position.clone();
-    b.mesh.position.add(b.velocity.clone().multiplyScalar(delta));
-
-    // Check collision with targets
-    for (let j = targets.length - 1; j >= 0; j--) {
-      const target = targets[j];
-      const dist = b.mesh.position.distanceTo(target.mesh.position);
-      
-      if (dist < target.hitRadius) {
-        // Hit target!
-        score += target.score;
-        
-        // Hit feedback on crosshair
-        showHitFeedback();
-        
-        // Explosion effect
-        createExplosion(target.mesh.position, b.color);
-        
-        // Remove target and respawn
-        scene.remove(target.mesh);
-        targets.splice(j, 1);
-        targets.push(createTarget());
-        
-        // Remove paintball
-        scene.remove(b.mesh);
-        b.mesh.geometry.dispose();
-        b.mesh.material.dispose();
-        paintballs.splice(i, 1);
-        
-        // Update score display
-        updateScoreDisplay();
+    for (let step = 0; step < paintballSteps; step++) {
+      _ballFrom.copy(b.position);
+      stepPaintball(b, paintballDt);
+      if (collidePaintball(b, _ballFrom, b.position)) {
+        removePaintball(i);
         break;
       }
     }
-    
-    if (paintballs.indexOf(b) === -1) continue; // Already removed
+  }
 
-    // Raycast for collision with buildings
-    const dir = b.velocity.clone().normalize();
-    raycaster.set(oldPos, dir);
-    const dist = oldPos.distanceTo(b.mesh.position);
-    raycaster.far = dist;
-    
-    const intersects = raycaster.intersectObjects([...buildingMeshes, ground], true);
-    
-    if (intersects.length > 0) {
-      const hit = intersects[0];
-      
-      // Create improved splatter (Decal)
-      addDecal(hit, b.color);
-      
-      // Remove paintball
-      scene.remove(b.mesh);
-      b.mesh.geometry.dispose();
-      b.mesh.material.dispose();
-      paintballs.splice(i, 1);
-      continue;
-    }
+  updateParticles(delta);
 
-    // Backup ground collision
-    if (b.mesh.position.y < 0) {
-       scene.remove(b.mesh);
-       paintballs.splice(i, 1);
-    }
-  }
+  updateCamera(delta);
+  updateFocalDistance(delta);
+  updateAudioListener();
 
-  // First-person camera
-  const eyeHeight = 1.6;
-  const targetPos = player.mesh.position.clone().add(new THREE.Vector3(0, eyeHeight, 0));
-  
-  camera.position.copy(targetPos);
-  
-  // Add subtle camera sway in broad mode to simulate lack of focus
-  if (focusMode === 'broad') {
-    const time = Date.now() * 0.001;
-    camera.position.x += Math.sin(time * 0.5) * 0.02;
-    camera.position.y += Math.cos(time * 0.7) * 0.015;
-  }
-  
-  // Look direction based on yaw and pitch
-  const lookDir = new THREE.Vector3(
-    -Math.sin(player.yaw) * Math.cos(player.pitch),
-    Math.sin(player.pitch),
-    -Math.cos(player.yaw) * Math.cos(player.pitch)
-  );
-  camera.lookAt(camera.position.clone().add(lookDir));
+  // Targets face the camera, so write instances once it has moved
+  writeTargetInstances();
+  writePaintballInstances();
+
+  sampleSession(delta);
 }
 
 function animate() {
   requestAnimationFrame(animate);
   const delta = clock.getDelta();
   update(delta);
-  renderer.render(scene, camera);
+  composer.render(delta);
 }
 
 animate();
@@ -1028,4 +6877,5 @@ window.addEventListener("resize", () => {
   camera.aspect = w / h;
   camera.updateProjectionMatrix();
   renderer.setSize(w, h);
+  resizePostProcessing(w, h);
 });
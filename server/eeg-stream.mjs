@@ -0,0 +1,119 @@
+// eeg-stream.mjs
+// Local stand-in for a Muse-style EEG headset: streams band powers over WebSocket
+//
+// Usage:
+//   node server/eeg-stream.mjs [--port 8765] [--rate 10] [--period 40] [--file recording.json]
+//
+// Without --file, synthetic band powers are generated whose focus index drifts
+// between relaxed and concentrated every --period seconds. With --file, a
+// recording (JSON array or newline-delimited JSON of the same messages) is
+// replayed with its original timing, looping forever.
+
+import { readFileSync } from "node:fs";
+import { createWebSocketServer } from "./websocket.mjs";
+
+const CHANNELS = ["TP9", "AF7", "AF8", "TP10"];
+const BANDS = ["delta", "theta", "alpha", "beta", "gamma"];
+
+// ----- Options -----
+const options = { port: 8765, rate: 10, period: 40, file: null };
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+  const name = argv[i].replace(/^--/, "");
+  if (!(name in options)) {
+    console.error(`Unknown option: ${argv[i]}`);
+    process.exit(1);
+  }
+  const value = argv[++i];
+  options[name] = name === "file" ? value : Number(value);
+}
+
+// ----- Synthetic source -----
+// Per-channel gain so channels are not identical copies of each other
+const channelGain = CHANNELS.map((_, i) => 0.85 + 0.1 * i);
+
+function noisy(value, amount = 0.15) {
+  return Math.max(0.01, value * (1 + (Math.random() - 0.5) * 2 * amount));
+}
+
+function syntheticSample(timeSec) {
+  // 0 = relaxed, 1 = concentrated
+  const focus = 0.5 + 0.5 * Math.sin((2 * Math.PI * timeSec) / options.period);
+  const base = {
+    delta: 10,
+    theta: 7 - 2 * focus,
+    alpha: 11 - 8 * focus,
+    beta: 3 + 6 * focus,
+    gamma: 1.5 + focus
+  };
+  const bands = {};
+  for (const band of BANDS) {
+    bands[band] = channelGain.map((gain) => +noisy(base[band] * gain).toFixed(3));
+  }
+  return {
+    type: "bands",
+    timestamp: Date.now(),
+    channels: CHANNELS,
+    bands,
+    // Ground truth for debugging the client-side metric
+    synthetic: { focus: +focus.toFixed(3) }
+  };
+}
+
+// ----- Recorded source -----
+function loadRecording(path) {
+  const text = readFileSync(path, "utf8").trim();
+  const samples = text.startsWith("[")
+    ? JSON.parse(text)
+    : text.split(/\r?\n/).filter(Boolean).map((line) => JSON.parse(line));
+  if (samples.length === 0) throw new Error(`No samples in ${path}`);
+  const t0 = samples[0].timestamp ?? 0;
+  return samples.map((sample, i) => ({
+    offset: sample.timestamp != null ? sample.timestamp - t0 : (i * 1000) / options.rate,
+    sample
+  }));
+}
+
+// ----- Server -----
+const clients = new Set();
+
+function broadcast(message) {
+  const text = JSON.stringify(message);
+  for (const client of clients) client.send(text);
+}
+
+createWebSocketServer({ port: options.port }, (connection) => {
+  clients.add(connection);
+  console.log(`Client connected (${clients.size} total)`);
+  connection.onclose = () => {
+    clients.delete(connection);
+    console.log(`Client disconnected (${clients.size} total)`);
+  };
+});
+
+if (options.file) {
+  const recording = loadRecording(options.file);
+  const duration = recording[recording.length - 1].offset + 1000 / options.rate;
+  let index = 0;
+  let loopStart = Date.now();
+
+  const tick = () => {
+    const elapsed = Date.now() - loopStart;
+    while (index < recording.length && recording[index].offset <= elapsed) {
+      broadcast({ ...recording[index].sample, timestamp: Date.now() });
+      index++;
+    }
+    if (index >= recording.length && elapsed >= duration) {
+      index = 0;
+      loopStart = Date.now();
+    }
+  };
+  setInterval(tick, 1000 / Math.max(options.rate, 50));
+  console.log(`Replaying ${recording.length} samples from ${options.file}`);
+} else {
+  const start = Date.now();
+  setInterval(() => broadcast(syntheticSample((Date.now() - start) / 1000)), 1000 / options.rate);
+  console.log(`Streaming synthetic band powers at ${options.rate} Hz`);
+}
+
+console.log(`EEG stand-in listening on ws://localhost:${options.port}`);
@@ -0,0 +1,259 @@
+// multiplayer.mjs
+// Local multiplayer relay: shares player states, shots and splats between
+// clients, and decides which paintball hits count and keeps the score
+//
+// Usage:
+//   node server/multiplayer.mjs [--port 8766] [--rate 20] [--host 127.0.0.1]
+//
+// The relay listens on this computer only; --host 0.0.0.0 opens it to other
+// machines on the network.
+//
+// Clients report their own movement and shots. A hit is claimed by the
+// shooter's client and only counts once the server has checked it: the shot
+// must be real and unspent, the target alive and not spawn-protected, and the
+// server's own replay of the paintball's flight must pass the target's
+// recent positions. Shots must start at the shooter's last reported position
+// and each shot id is accepted once.
+//
+// The server knows nothing of the level, so it cannot tell a shot blocked by
+// a wall from a clear one: a modified client can still claim hits through
+// walls along a genuine flight path.
+
+import { createWebSocketServer } from "./websocket.mjs";
+
+// ----- Options -----
+const options = { port: 8766, rate: 20, host: "127.0.0.1" };
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+  const name = argv[i].replace(/^--/, "");
+  if (!(name in options)) {
+    console.error(`Unknown option: ${argv[i]}`);
+    process.exit(1);
+  }
+  const value = argv[++i];
+  options[name] = name === "host" ? value : Number(value);
+}
+
+// ----- Rules -----
+// Ballistics and sizes must match paintballSettings and the player capsule in main.js
+const BALL = { gravity: -9.8, drag: 0.008, radius: 0.15, life: 3, substep: 1 / 60, maxSpeed: 100 };
+const PLAYER_RADIUS = 0.4;
+const RESPAWN_DELAY = 3; // seconds
+const SPAWN_PROTECTION = 2; // seconds after respawning
+const HIT_TOLERANCE = 1.0; // metres of slack for latency and interpolation
+const SHOT_ORIGIN_REACH = 2; // metres from the shooter's body a shot may start
+const HISTORY_MS = 1000; // how far back player positions are kept
+const COLORS = ["#ff7a00", "#00c8ff", "#ff2fa0", "#9bff00", "#ffe100", "#8a5cff", "#ffffff", "#00ffb0"];
+
+// ----- State -----
+const players = new Map(); // id -> player
+let nextId = 1;
+let roomSeed = null;
+
+function publicPlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    color: player.color,
+    score: player.score,
+    deaths: player.deaths,
+    alive: player.alive
+  };
+}
+
+function broadcast(message, except = null) {
+  const text = JSON.stringify(message);
+  for (const player of players.values()) {
+    if (player !== except) player.connection.send(text);
+  }
+}
+
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+// ----- Hit validation -----
+function distanceToSegment(point, a, b) {
+  const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const ap = [point[0] - a[0], point[1] - a[1], point[2] - a[2]];
+  const lengthSq = ab[0] ** 2 + ab[1] ** 2 + ab[2] ** 2;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, (ap[0] * ab[0] + ap[1] * ab[1] + ap[2] * ab[2]) / lengthSq)) : 0;
+  return Math.hypot(ap[0] - ab[0] * t, ap[1] - ab[1] * t, ap[2] - ab[2] * t);
+}
+
+// Positions of the paintball over its flight, one per substep
+function flightPath(shot, seconds) {
+  const position = [...shot.origin];
+  const velocity = [...shot.velocity];
+  const path = [[...position]];
+  const steps = Math.min(Math.ceil(seconds / BALL.substep), Math.ceil(BALL.life / BALL.substep));
+  for (let i = 0; i < steps; i++) {
+    const speed = Math.hypot(...velocity);
+    const damping = Math.max(0, 1 - BALL.drag * speed * BALL.substep);
+    for (let k = 0; k < 3; k++) velocity[k] *= damping;
+    velocity[1] += BALL.gravity * BALL.substep;
+    for (let k = 0; k < 3; k++) position[k] += velocity[k] * BALL.substep;
+    path.push([...position]);
+  }
+  return path;
+}
+
+// Does the replayed flight come close enough to where the target recently was?
+function plausibleHit(shot, target, now) {
+  const seconds = (now - shot.time) / 1000 + 0.25;
+  const path = flightPath(shot, seconds);
+  const reach = PLAYER_RADIUS + BALL.radius + HIT_TOLERANCE;
+  for (const state of target.history) {
+    if (state.time < shot.time - 200) continue;
+    const feet = state.position;
+    const start = [feet[0], feet[1] + PLAYER_RADIUS, feet[2]];
+    const end = [feet[0], feet[1] + Math.max(state.height, 2 * PLAYER_RADIUS) - PLAYER_RADIUS, feet[2]];
+    if (path.some((point) => distanceToSegment(point, start, end) <= reach)) return true;
+  }
+  return false;
+}
+
+function handleHit(shooter, msg, now) {
+  const shot = shooter.shots.get(msg.shot);
+  const target = players.get(msg.target);
+  if (!shot || shot.spent || !target || target === shooter) return;
+  if (!target.alive || now < target.protectedUntil) return;
+  if (now - shot.time > BALL.life * 1000) return;
+  if (!plausibleHit(shot, target, now)) {
+    console.log(`Rejected hit by ${shooter.name} on ${target.name}`);
+    return;
+  }
+  shot.spent = true;
+  shooter.score++;
+  target.deaths++;
+  target.alive = false;
+  target.respawnAt = now + RESPAWN_DELAY * 1000;
+  target.protectedUntil = target.respawnAt + SPAWN_PROTECTION * 1000;
+  broadcast({
+    type: "eliminated",
+    target: target.id,
+    shooter: shooter.id,
+    color: shot.color,
+    respawn: RESPAWN_DELAY,
+    protection: SPAWN_PROTECTION,
+    scores: [...players.values()].map(publicPlayer)
+  });
+  console.log(`${shooter.name} eliminated ${target.name}`);
+}
+
+// ----- Messages -----
+function handleMessage(player, msg) {
+  const now = Date.now();
+  if (msg.type === "state") {
+    if (!isVector(msg.position)) return;
+    player.state = {
+      time: now,
+      position: msg.position,
+      yaw: Number(msg.yaw) || 0,
+      pitch: Number(msg.pitch) || 0,
+      height: Number(msg.height) || 1.7,
+      focus: Math.max(0, Math.min(1, Number(msg.focus) || 0))
+    };
+    player.history.push(player.state);
+    while (player.history.length && player.history[0].time < now - HISTORY_MS) player.history.shift();
+  } else if (msg.type === "shot") {
+    if (!player.alive || !player.state || !isVector(msg.origin) || !isVector(msg.velocity)) return;
+    if (Math.hypot(...msg.velocity) > BALL.maxSpeed) return;
+    // Shot ids count up, so a used id (even one forgotten since) is refused
+    if (!Number.isInteger(msg.shot) || msg.shot <= player.lastShot) return;
+    // The gun is on the shooter, not wherever the client says
+    const feet = player.state.position;
+    const head = [feet[0], feet[1] + player.state.height, feet[2]];
+    if (distanceToSegment(msg.origin, feet, head) > SHOT_ORIGIN_REACH) {
+      console.log(`Rejected shot by ${player.name}: origin too far from the player`);
+      return;
+    }
+    const shot = { time: now, origin: msg.origin, velocity: msg.velocity, color: String(msg.color), spent: false };
+    player.lastShot = msg.shot;
+    player.shots.set(msg.shot, shot);
+    // Forget shots that have landed long ago
+    for (const [id, old] of player.shots) {
+      if (now - old.time > BALL.life * 2000) player.shots.delete(id);
+    }
+    broadcast({ type: "shot", id: player.id, shot: msg.shot, origin: msg.origin, velocity: msg.velocity, color: shot.color, time: now }, player);
+  } else if (msg.type === "hit") {
+    handleHit(player, msg, now);
+  } else if (msg.type === "splat") {
+    if (!isVector(msg.point) || !isVector(msg.normal)) return;
+    broadcast({ type: "splat", id: player.id, point: msg.point, normal: msg.normal, color: String(msg.color) }, player);
+  }
+}
+
+function join(player, msg) {
+  player.name = String(msg.name || `Player ${player.id}`).slice(0, 24);
+  // The first player in an empty room picks the city
+  if (players.size === 0 || roomSeed === null) roomSeed = String(msg.seed || "");
+  players.set(player.id, player);
+  player.connection.send(JSON.stringify({
+    type: "welcome",
+    id: player.id,
+    color: player.color,
+    seed: roomSeed,
+    time: Date.now(),
+    players: [...players.values()].map(publicPlayer)
+  }));
+  broadcast({ type: "joined", player: publicPlayer(player) }, player);
+  console.log(`${player.name} joined (${players.size} playing)`);
+}
+
+// ----- Server -----
+createWebSocketServer({ port: options.port, host: options.host }, (connection) => {
+  const id = nextId++;
+  const player = {
+    id,
+    connection,
+    name: null,
+    color: COLORS[(id - 1) % COLORS.length],
+    score: 0,
+    deaths: 0,
+    alive: true,
+    respawnAt: 0,
+    protectedUntil: 0,
+    state: null,
+    history: [],
+    shots: new Map(),
+    lastShot: 0
+  };
+  connection.onmessage = (text) => {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch (err) {
+      return;
+    }
+    if (!msg || typeof msg !== "object") return;
+    if (msg.type === "join") {
+      if (player.name === null) join(player, msg);
+    } else if (player.name !== null) {
+      handleMessage(player, msg);
+    }
+  };
+  connection.onclose = () => {
+    if (!players.delete(player.id)) return;
+    broadcast({ type: "left", id: player.id });
+    if (players.size === 0) roomSeed = null;
+    console.log(`${player.name} left (${players.size} playing)`);
+  };
+});
+
+// Respawns and state snapshots on a fixed tick
+setInterval(() => {
+  const now = Date.now();
+  for (const player of players.values()) {
+    if (!player.alive && now >= player.respawnAt) player.alive = true;
+  }
+  const states = [];
+  for (const player of players.values()) {
+    if (!player.state) continue;
+    const { position, yaw, pitch, height, focus } = player.state;
+    states.push({ id: player.id, position, yaw, pitch, height, focus, alive: player.alive });
+  }
+  if (states.length) broadcast({ type: "snapshot", time: now, players: states });
+}, 1000 / options.rate);
+
+console.log(`Multiplayer relay listening on ws://${options.host}:${options.port}`);
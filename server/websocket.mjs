@@ -0,0 +1,197 @@
+// websocket.mjs
+// Minimal dependency-free WebSocket server (RFC 6455, text frames only) for the local dev servers
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_SIZE = 1024 * 1024; // bytes per frame and per reassembled message
+const CLOSE_TOO_BIG = 1009;
+
+// ----- Framing -----
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off the front of `buffer`. Returns the parsed frames,
+// whatever bytes are left over for the next chunk, how many bytes the
+// unfinished frame needs in all (0 while its header is incomplete), and
+// `tooBig` once a frame declares more than MAX_MESSAGE_SIZE bytes.
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const b0 = buffer[offset];
+    const b1 = buffer[offset + 1];
+    const masked = (b1 & 0x80) !== 0;
+    let len = b1 & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buffer.length - pos < 2) break;
+      len = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buffer.length - pos < 8) break;
+      len = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (len > MAX_MESSAGE_SIZE) return { frames, rest: buffer.subarray(offset), needed: 0, tooBig: true };
+    const maskLen = masked ? 4 : 0;
+    if (buffer.length - pos < maskLen + len) {
+      return { frames, rest: buffer.subarray(offset), needed: pos - offset + maskLen + len, tooBig: false };
+    }
+    const mask = masked ? buffer.subarray(pos, pos + 4) : null;
+    pos += maskLen;
+    const payload = Buffer.from(buffer.subarray(pos, pos + len));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ fin: (b0 & 0x80) !== 0, opcode: b0 & 0x0f, payload });
+    offset = pos + len;
+  }
+  return { frames, rest: buffer.subarray(offset), needed: 0, tooBig: false };
+}
+
+// ----- Connections -----
+class Connection {
+  constructor(socket, request) {
+    this.socket = socket;
+    this.request = request;
+    this.open = true;
+    this.onmessage = null;
+    this.onclose = null;
+    this.pending = []; // received chunks not yet decoded
+    this.pendingSize = 0;
+    this.needed = 0; // bytes the unfinished frame needs before decoding is worth it
+    this.fragments = [];
+    this.fragmentsSize = 0;
+
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("close", () => this.handleClose());
+    socket.on("error", () => socket.destroy());
+  }
+
+  receive(chunk) {
+    if (!this.open) return;
+    // Chunks of a large frame are only joined once all of it has arrived
+    this.pending.push(chunk);
+    this.pendingSize += chunk.length;
+    if (this.pendingSize < this.needed) return;
+    const buffer = this.pending.length === 1 ? chunk : Buffer.concat(this.pending, this.pendingSize);
+    const { frames, rest, needed, tooBig } = decodeFrames(buffer);
+    this.pending = rest.length ? [rest] : [];
+    this.pendingSize = rest.length;
+    this.needed = needed;
+    for (const frame of frames) {
+      if (frame.opcode === 0x8) {
+        // Close: echo and hang up
+        this.close();
+        return;
+      }
+      if (frame.opcode === 0x9) {
+        this.socket.write(encodeFrame(0xa, frame.payload));
+        continue;
+      }
+      if (frame.opcode === 0xa) continue; // pong
+      if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+        this.fragmentsSize += frame.payload.length;
+        if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+          this.reject();
+          return;
+        }
+        this.fragments.push(frame.payload);
+        if (frame.fin) {
+          const text = Buffer.concat(this.fragments).toString("utf8");
+          this.fragments = [];
+          this.fragmentsSize = 0;
+          this.dispatch(this.onmessage, text);
+        }
+      }
+    }
+    if (tooBig) this.reject();
+  }
+
+  // Refuse an oversized message: close with 1009 (message too big) and drop
+  // the socket without waiting for the client
+  reject() {
+    if (!this.open) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(CLOSE_TOO_BIG);
+    this.socket.end(encodeFrame(0x8, payload), () => this.socket.destroy());
+    this.pending = [];
+    this.fragments = [];
+    this.handleClose();
+  }
+
+  send(text) {
+    if (!this.open) return;
+    this.socket.write(encodeFrame(0x1, Buffer.from(text, "utf8")));
+  }
+
+  close() {
+    if (!this.open) return;
+    this.socket.end(encodeFrame(0x8));
+    this.handleClose();
+  }
+
+  handleClose() {
+    if (!this.open) return;
+    this.open = false;
+    this.dispatch(this.onclose);
+  }
+
+  // Run a user callback; a throwing handler is logged instead of taking the
+  // whole server down with it
+  dispatch(callback, ...args) {
+    if (!callback) return;
+    try {
+      callback(...args);
+    } catch (err) {
+      console.error("WebSocket handler failed:", err);
+    }
+  }
+}
+
+// Start an HTTP server that upgrades every request to a WebSocket and hands
+// each new Connection to `onConnection`.
+export function createWebSocketServer({ port, host = "127.0.0.1" }, onConnection) {
+  const server = createServer((req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end("WebSocket endpoint\n");
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    const accept = createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+    onConnection(new Connection(socket, req));
+  });
+
+  server.listen(port, host);
+  return server;
+}